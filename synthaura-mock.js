@@ -0,0 +1,378 @@
+/**
+ * Synthaura Mock - Recording AudioContext for headless runs and snapshot tests.
+ * Implements the parts of the Web Audio API Synthaura uses, makes no sound,
+ * and records the node graph and every automation call.
+ */
+
+// ── Audio Params ───────────────────────────────────────────────────────────
+
+function _finite(method, values) {
+    for (const value of values) {
+        if (typeof value === 'number' && !Number.isFinite(value)) {
+            throw new TypeError(`${method}: the provided value is non-finite`);
+        }
+    }
+}
+
+export class MockAudioParam {
+    constructor(owner, name, defaultValue) {
+        this.owner        = owner;
+        this.name         = name;
+        this.defaultValue = defaultValue;
+        this.value        = defaultValue;
+        this.events       = [];   // [method, ...args] in call order
+        this.inputs       = [];   // nodes connected into this param
+    }
+
+    setValueAtTime(value, time)                     { return this._record('setValueAtTime', value, time); }
+    linearRampToValueAtTime(value, time)            { return this._record('linearRampToValueAtTime', value, time); }
+    setTargetAtTime(value, time, timeConstant)      { return this._record('setTargetAtTime', value, time, timeConstant); }
+    cancelScheduledValues(time)                     { return this._record('cancelScheduledValues', time); }
+    cancelAndHoldAtTime(time)                       { return this._record('cancelAndHoldAtTime', time); }
+
+    exponentialRampToValueAtTime(value, time) {
+        if (value === 0) throw new RangeError('exponentialRampToValueAtTime: value must not be zero');
+        return this._record('exponentialRampToValueAtTime', value, time);
+    }
+
+    setValueCurveAtTime(curve, time, duration) {
+        _finite('setValueCurveAtTime', curve);
+        _finite('setValueCurveAtTime', [time, duration]);
+        this.events.push(['setValueCurveAtTime', Array.from(curve), time, duration]);
+        return this;
+    }
+
+    _record(method, ...args) {
+        _finite(method, args);
+        this.events.push([method, ...args]);
+        return this;
+    }
+}
+
+// ── Audio Nodes ────────────────────────────────────────────────────────────
+
+export class MockAudioNode {
+    constructor(ctx, kind, params = {}) {
+        this.context     = ctx;
+        this.kind        = kind;
+        this.id          = `${kind}#${ctx.nodes.length}`;
+        this.connections = [];   // AudioNodes and MockAudioParams
+        for (const [name, value] of Object.entries(params)) this[name] = new MockAudioParam(this, name, value);
+        ctx.nodes.push(this);
+    }
+
+    connect(destination) {
+        if (!destination) throw new TypeError('connect: destination is required');
+        if (!this.connections.includes(destination)) this.connections.push(destination);
+        if (destination instanceof MockAudioParam) destination.inputs.push(this);
+        return destination;
+    }
+
+    disconnect(destination) {
+        const removed = destination ? [destination] : this.connections;
+        if (destination && !this.connections.includes(destination)) {
+            throw new Error('InvalidAccessError: not connected to the given destination');
+        }
+        for (const target of removed) {
+            if (target instanceof MockAudioParam) target.inputs = target.inputs.filter(node => node !== this);
+        }
+        this.connections = destination ? this.connections.filter(target => target !== destination) : [];
+    }
+}
+
+class MockScheduledSource extends MockAudioNode {
+    constructor(ctx, kind, params) {
+        super(ctx, kind, params);
+        this.startTime = null;
+        this.stopTime  = null;
+        this.onended   = null;
+        this._ended    = false;
+    }
+
+    start(when = 0) {
+        if (this.startTime != null) throw new Error('InvalidStateError: start() called more than once');
+        this.startTime = when;
+        this.context._sources.push(this);
+    }
+
+    stop(when = 0) {
+        if (this.startTime == null) throw new Error('InvalidStateError: stop() called before start()');
+        this.stopTime = when;
+    }
+
+    // Context time this source finishes, or Infinity while it would keep playing.
+    get endTime() {
+        if (this.startTime == null) return Infinity;
+        return this.stopTime == null ? Infinity : Math.max(this.startTime, this.stopTime);
+    }
+}
+
+class MockOscillatorNode extends MockScheduledSource {
+    constructor(ctx) {
+        super(ctx, 'oscillator', { frequency: 440, detune: 0 });
+        this.type = 'sine';
+    }
+
+    setPeriodicWave(wave) { this.type = 'custom'; this.periodicWave = wave; }
+}
+
+class MockBufferSourceNode extends MockScheduledSource {
+    constructor(ctx) {
+        super(ctx, 'bufferSource', { playbackRate: 1, detune: 0 });
+        this.buffer    = null;
+        this.loop      = false;
+        this.loopStart = 0;
+        this.loopEnd   = 0;
+    }
+
+    get endTime() {
+        const end = super.endTime;
+        if (this.startTime == null || this.loop || !this.buffer) return end;
+        return Math.min(end, this.startTime + this.buffer.duration / Math.abs(this.playbackRate.value || 1));
+    }
+}
+
+class MockAnalyserNode extends MockAudioNode {
+    constructor(ctx) {
+        super(ctx, 'analyser');
+        this.fftSize               = 2048;
+        this.smoothingTimeConstant = 0.8;
+        this.minDecibels           = -100;
+        this.maxDecibels           = -30;
+    }
+
+    get frequencyBinCount() { return this.fftSize / 2; }
+
+    // No audio is rendered, so the analyser reports silence.
+    getByteFrequencyData(array)     { array.fill(0); }
+    getFloatFrequencyData(array)    { array.fill(-Infinity); }
+    getByteTimeDomainData(array)    { array.fill(128); }
+    getFloatTimeDomainData(array)   { array.fill(0); }
+}
+
+export class MockAudioBuffer {
+    constructor({ numberOfChannels = 1, length, sampleRate }) {
+        this.numberOfChannels = numberOfChannels;
+        this.length           = length;
+        this.sampleRate       = sampleRate;
+        this.duration         = length / sampleRate;
+        this._channels        = Array.from({ length: numberOfChannels }, () => new Float32Array(length));
+    }
+
+    getChannelData(channel) { return this._channels[channel]; }
+}
+
+// ── Contexts ───────────────────────────────────────────────────────────────
+
+export class MockAudioContext {
+    constructor(options = {}) {
+        this.sampleRate    = options.sampleRate || 44100;
+        this.currentTime   = 0;
+        this.state         = options.state || 'running';   // 'suspended' mimics an autoplay lock
+        this.baseLatency   = options.baseLatency || 0;
+        this.outputLatency = options.outputLatency || 0;
+        this.onstatechange = null;
+        this.nodes         = [];   // every node created, in creation order
+        this._sources      = [];
+        this._timers       = [];
+        this._timerId      = 0;
+        this._listeners    = [];
+        this.destination   = new MockAudioNode(this, 'destination');
+        this.listener      = {
+            positionX: new MockAudioParam(this.destination, 'positionX', 0),
+            positionY: new MockAudioParam(this.destination, 'positionY', 0),
+            positionZ: new MockAudioParam(this.destination, 'positionZ', 0),
+            forwardX:  new MockAudioParam(this.destination, 'forwardX', 0),
+            forwardY:  new MockAudioParam(this.destination, 'forwardY', 0),
+            forwardZ:  new MockAudioParam(this.destination, 'forwardZ', -1),
+            upX:       new MockAudioParam(this.destination, 'upX', 0),
+            upY:       new MockAudioParam(this.destination, 'upY', 1),
+            upZ:       new MockAudioParam(this.destination, 'upZ', 0),
+        };
+    }
+
+    addEventListener(type, listener)    { if (type === 'statechange') this._listeners.push(listener); }
+    removeEventListener(type, listener) { this._listeners = this._listeners.filter(l => l !== listener); }
+
+    resume()  { return this._setState('running'); }
+    suspend() { return this._setState('suspended'); }
+    close()   { return this._setState('closed'); }
+
+    // Simulates the browser changing state on its own, e.g. 'interrupted'
+    // during a phone call on iOS.
+    simulateState(state) { this._setState(state); }
+
+    createGain()               { return new MockAudioNode(this, 'gain', { gain: 1 }); }
+    createDelay()              { return new MockAudioNode(this, 'delay', { delayTime: 0 }); }
+    createStereoPanner()       { return new MockAudioNode(this, 'stereoPanner', { pan: 0 }); }
+    createConvolver()          { return Object.assign(new MockAudioNode(this, 'convolver'), { buffer: null, normalize: true }); }
+    createWaveShaper()         { return Object.assign(new MockAudioNode(this, 'waveShaper'), { curve: null, oversample: 'none' }); }
+    createChannelSplitter()    { return new MockAudioNode(this, 'channelSplitter'); }
+    createChannelMerger()      { return new MockAudioNode(this, 'channelMerger'); }
+    createOscillator()         { return new MockOscillatorNode(this); }
+    createBufferSource()       { return new MockBufferSourceNode(this); }
+    createConstantSource()     { return new MockScheduledSource(this, 'constantSource', { offset: 1 }); }
+    createAnalyser()           { return new MockAnalyserNode(this); }
+
+    createBiquadFilter() {
+        const node = new MockAudioNode(this, 'biquadFilter', { frequency: 350, Q: 1, gain: 0, detune: 0 });
+        node.type = 'lowpass';
+        return node;
+    }
+
+    createDynamicsCompressor() {
+        const node = new MockAudioNode(this, 'dynamicsCompressor', { threshold: -24, knee: 30, ratio: 12, attack: 0.003, release: 0.25 });
+        node.reduction = 0;
+        return node;
+    }
+
+    createPanner() {
+        const node = new MockAudioNode(this, 'panner', {
+            positionX: 0, positionY: 0, positionZ: 0, orientationX: 1, orientationY: 0, orientationZ: 0,
+        });
+        return Object.assign(node, {
+            panningModel: 'equalpower', distanceModel: 'inverse', refDistance: 1, maxDistance: 10000,
+            rolloffFactor: 1, coneInnerAngle: 360, coneOuterAngle: 360, coneOuterGain: 0,
+        });
+    }
+
+    createBuffer(numberOfChannels, length, sampleRate) {
+        return new MockAudioBuffer({ numberOfChannels, length, sampleRate });
+    }
+
+    createPeriodicWave(real, imag) {
+        return { real: Array.from(real), imag: Array.from(imag) };
+    }
+
+    // Moves the clock forward, firing timers (see mockEnvironment()) and
+    // source onended callbacks in time order.
+    advance(seconds) {
+        const end = this.currentTime + seconds;
+        for (;;) {
+            const timer = this._timers.reduce((next, t) => (!next || t.due < next.due ? t : next), null);
+            if (!timer || timer.due > end) break;
+            this.currentTime = Math.max(this.currentTime, timer.due);
+            this._endSources();
+            if (timer.interval) timer.due += timer.interval;
+            else this._timers.splice(this._timers.indexOf(timer), 1);
+            timer.callback();
+        }
+        this.currentTime = end;
+        this._endSources();
+        return this;
+    }
+
+    // A JSON-friendly copy of the graph: every node with its connections,
+    // params (value and automation events), settings and start/stop times.
+    snapshot() {
+        const label = target => (target instanceof MockAudioParam ? `${target.owner.id}.${target.name}` : target.id);
+        return {
+            currentTime: this.currentTime,
+            listener:    _paramEvents(this.listener),
+            nodes:       this.nodes.map(node => {
+                const entry = { id: node.id, connections: node.connections.map(label) };
+                const settings = _settings(node);
+                if (Object.keys(settings).length) entry.settings = settings;
+                const params = _paramEvents(node);
+                if (Object.keys(params).length) entry.params = params;
+                if (node instanceof MockScheduledSource) Object.assign(entry, { start: node.startTime, stop: node.stopTime });
+                return entry;
+            }),
+        };
+    }
+
+    _setState(state) {
+        if (this.state === 'closed') return Promise.reject(new Error('InvalidStateError: context is closed'));
+        if (this.state !== state) {
+            this.state = state;
+            if (this.onstatechange) this.onstatechange();
+            for (const listener of this._listeners) listener();
+        }
+        return Promise.resolve();
+    }
+
+    _endSources() {
+        for (const source of this._sources) {
+            if (source._ended || source.endTime > this.currentTime) continue;
+            source._ended = true;
+            if (source.onended) source.onended();
+        }
+        this._sources = this._sources.filter(source => !source._ended);
+    }
+
+    _addTimer(callback, ms, repeat) {
+        const delay = Math.max(0, Number(ms) || 0) / 1000;
+        const timer = { id: ++this._timerId, callback, due: this.currentTime + delay, interval: repeat ? Math.max(delay, 0.001) : 0 };
+        this._timers.push(timer);
+        return timer.id;
+    }
+
+    _clearTimer(id) {
+        this._timers = this._timers.filter(timer => timer.id !== id);
+    }
+}
+
+export class MockOfflineAudioContext extends MockAudioContext {
+    constructor(numberOfChannels, length, sampleRate) {
+        super({ sampleRate });
+        this.numberOfChannels = numberOfChannels;
+        this.length           = length;
+        this.state            = 'suspended';
+        this.oncomplete       = null;
+    }
+
+    // Renders silence of the requested length after running the whole timeline.
+    startRendering() {
+        this.state = 'running';
+        this.advance(this.length / this.sampleRate);
+        const renderedBuffer = this.createBuffer(this.numberOfChannels, this.length, this.sampleRate);
+        this.state = 'closed';
+        if (this.oncomplete) this.oncomplete({ renderedBuffer });
+        return Promise.resolve(renderedBuffer);
+    }
+}
+
+// ── Environment ────────────────────────────────────────────────────────────
+
+// Options for configure() that make Synthaura run on `ctx`: the shared
+// context is ctx, offline renders use MockOfflineAudioContext, and every
+// timer (including the BGM scheduler) runs on ctx's clock, driven by
+// ctx.advance(seconds).
+export function mockEnvironment(ctx = new MockAudioContext()) {
+    return {
+        AudioContext:        function MockSharedAudioContext() { return ctx; },
+        OfflineAudioContext: MockOfflineAudioContext,
+        timer:               'interval',
+        setTimeout:          (callback, ms) => ctx._addTimer(callback, ms, false),
+        clearTimeout:        id => ctx._clearTimer(id),
+        setInterval:         (callback, ms) => ctx._addTimer(callback, ms, true),
+        clearInterval:       id => ctx._clearTimer(id),
+    };
+}
+
+// ── Snapshot Helpers ───────────────────────────────────────────────────────
+
+function _paramEvents(owner) {
+    const params = {};
+    for (const [name, param] of Object.entries(owner)) {
+        if (!(param instanceof MockAudioParam)) continue;
+        if (!param.events.length && param.value === param.defaultValue && !param.inputs.length) continue;
+        params[name] = { value: param.value, events: param.events };
+        if (param.inputs.length) params[name].inputs = param.inputs.map(node => node.id);
+    }
+    return params;
+}
+
+// Plain node settings (filter type, waveform, loop...), with buffers and
+// curves summarised by their size.
+function _settings(node) {
+    const settings = {};
+    for (const [key, value] of Object.entries(node)) {
+        if (key.startsWith('_') || ['context', 'kind', 'id', 'connections', 'onended', 'startTime', 'stopTime'].includes(key)) continue;
+        if (value instanceof MockAudioParam || value == null || typeof value === 'function') continue;
+        if (value instanceof MockAudioBuffer) settings[key] = { channels: value.numberOfChannels, length: value.length };
+        else if (ArrayBuffer.isView(value))   settings[key] = { length: value.length };
+        else                                  settings[key] = value;
+    }
+    return settings;
+}
@@ -3,15 +3,109 @@
  * Pure Web Audio API. No external assets needed.
  */
 
+// ── Environment ────────────────────────────────────────────────────────────
+
+// Where contexts and timers come from. The defaults use the browser globals;
+// configure() swaps them to run headless (Node, tests) or under a strict CSP.
+// timer is the BGM scheduler clock: 'auto' (Worker, falling back to
+// setInterval), 'worker', 'interval', or a factory (tick, ms) => { start, stop, destroy }.
+const _env = {
+    AudioContext:        null,
+    OfflineAudioContext: null,
+    timer:               'auto',
+    setTimeout:          (callback, ms) => setTimeout(callback, ms),
+    clearTimeout:        id => clearTimeout(id),
+    setInterval:         (callback, ms) => setInterval(callback, ms),
+    clearInterval:       id => clearInterval(id),
+};
+
+export function configure(options = {}) {
+    for (const key of Object.keys(options)) {
+        if (!(key in _env)) throw new Error(`Synthaura: unknown environment option "${key}"`);
+    }
+    Object.assign(_env, options);
+    if (options.AudioContext) _sharedCtx = null;
+}
+
+function _contextClass(name) {
+    const Context = _env[name] || globalThis[name] || globalThis['webkit' + name];
+    if (!Context) throw new Error(`Synthaura: no ${name} available; pass options.ctx or call configure({ ${name} })`);
+    return Context;
+}
+
 let _sharedCtx = null;
 
 export function getSharedAudioContext() {
     if (!_sharedCtx) {
-        _sharedCtx = new (window.AudioContext || window.webkitAudioContext)();
+        _sharedCtx = new (_contextClass('AudioContext'))();
     }
     return _sharedCtx;
 }
 
+function _createOfflineContext(channels, length, sampleRate) {
+    const Offline = _contextClass('OfflineAudioContext');
+    return new Offline(channels, length, sampleRate);
+}
+
+function _intervalTicker(tick, ms) {
+    let id = null;
+    return {
+        start()   { if (id == null) id = _env.setInterval(tick, ms); },
+        stop()    { if (id != null) _env.clearInterval(id); id = null; },
+        destroy() { this.stop(); },
+    };
+}
+
+// A Worker keeps ticking at full rate in background tabs, where setInterval
+// is throttled. If the worker fails to load (CSP), fall back to setInterval.
+function _workerTicker(tick, ms, fallback) {
+    const blob = new Blob([`
+        let id = null;
+        self.onmessage = e => {
+            if (e.data === 'start')      { if (id == null) id = setInterval(() => postMessage('tick'), ${ms}); }
+            else if (e.data === 'stop')  { clearInterval(id); id = null; }
+        };
+    `], { type: 'application/javascript' });
+    const url = URL.createObjectURL(blob);
+    const worker = new Worker(url);
+    URL.revokeObjectURL(url);
+    let running = false, backup = null;
+    worker.onmessage = () => tick();
+    worker.onerror   = () => {
+        if (!fallback || backup) return;
+        backup = _intervalTicker(tick, ms);
+        if (running) backup.start();
+    };
+    return {
+        start()   { running = true;  if (backup) backup.start(); else worker.postMessage('start'); },
+        stop()    { running = false; if (backup) backup.stop();  else worker.postMessage('stop'); },
+        destroy() { this.stop(); worker.terminate(); },
+    };
+}
+
+function _createTicker(tick, ms, timer = _env.timer) {
+    if (typeof timer === 'function') return timer(tick, ms);
+    if (timer !== 'interval' && typeof Worker !== 'undefined' && typeof Blob !== 'undefined') {
+        try { return _workerTicker(tick, ms, timer === 'auto'); }
+        catch (err) { if (timer === 'worker') throw err; }
+    }
+    if (timer === 'worker') throw new Error('Synthaura: Worker timer is not available here');
+    return _intervalTicker(tick, ms);
+}
+
+function _startRendering(ctx) {
+    return new Promise((resolve, reject) => {
+        ctx.oncomplete = e => resolve(e.renderedBuffer);
+        const pending = ctx.startRendering();
+        if (pending && pending.then) pending.then(resolve, reject);
+    });
+}
+
+// Seconds between a context time being rendered and it being heard.
+function _outputLatency(ctx) {
+    return (ctx.outputLatency || 0) + (ctx.baseLatency || 0);
+}
+
 function makeCleanup(...nodes) {
     let done = false;
     return () => {
@@ -23,6 +117,22 @@ function makeCleanup(...nodes) {
     };
 }
 
+// setTimeout that destroy() can cancel: pending callbacks live in `timers`
+// (a Map) until they fire. _clearTimers(timers, true) runs them right away.
+function _later(timers, callback, ms) {
+    const id = _env.setTimeout(() => { timers.delete(id); callback(); }, ms);
+    timers.set(id, callback);
+    return id;
+}
+
+function _clearTimers(timers, run = false) {
+    for (const [id, callback] of [...timers]) {
+        _env.clearTimeout(id);
+        timers.delete(id);
+        if (run) callback();
+    }
+}
+
 function _makeDistortionCurve(amount) {
     const n = 44100, curve = new Float32Array(n), k = Math.PI + amount;
     for (let i = 0; i < n; i++) {
@@ -32,16 +142,40 @@ function _makeDistortionCurve(amount) {
     return curve;
 }
 
-function _createNoiseBuffer(ctx, type = 'white') {
+function _hashSeed(seed) {
+    if (Number.isInteger(seed)) return seed | 0;
+    const str = String(seed);
+    let h = 2166136261;
+    for (let i = 0; i < str.length; i++) { h ^= str.charCodeAt(i); h = Math.imul(h, 16777619); }
+    return h | 0;
+}
+
+// mulberry32: tiny, fast and good enough for audio. Accepts numbers or strings.
+export function createRandom(seed) {
+    let a = _hashSeed(seed);
+    return () => {
+        a = (a + 0x6D2B79F5) | 0;
+        let t = Math.imul(a ^ (a >>> 15), 1 | a);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function _randomFor(seed, stream) {
+    if (seed == null) return Math.random;
+    return createRandom(stream ? `${seed}:${stream}` : seed);
+}
+
+function _createNoiseBuffer(ctx, type = 'white', random = Math.random) {
     const size = ctx.sampleRate * 2;
     const buf  = ctx.createBuffer(1, size, ctx.sampleRate);
     const data = buf.getChannelData(0);
     if (type === 'white') {
-        for (let i = 0; i < size; i++) data[i] = Math.random() * 2 - 1;
+        for (let i = 0; i < size; i++) data[i] = random() * 2 - 1;
     } else {
         let b0 = 0, b1 = 0, b2 = 0, b3 = 0, b4 = 0, b5 = 0, b6 = 0;
         for (let i = 0; i < size; i++) {
-            const w = Math.random() * 2 - 1;
+            const w = random() * 2 - 1;
             b0 = 0.99886 * b0 + w * 0.0555179;
             b1 = 0.99332 * b1 + w * 0.0750759;
             b2 = 0.96900 * b2 + w * 0.1538520;
@@ -55,499 +189,3374 @@ function _createNoiseBuffer(ctx, type = 'white') {
     return buf;
 }
 
-function _createImpulse(ctx, duration, decay) {
+// Buffers, curves and waves depend only on their parameters (and seed), so
+// every instance on a context shares one copy. Keyed by context, so they go
+// away with it.
+const _resources = new WeakMap();
+
+function _shared(ctx, key, create) {
+    let cache = _resources.get(ctx);
+    if (!cache) _resources.set(ctx, cache = new Map());
+    if (!cache.has(key)) cache.set(key, create());
+    return cache.get(key);
+}
+
+function _sharedNoise(ctx, type, seed) {
+    return _shared(ctx, `noise:${type}:${seed == null ? '' : seed}`, () => _createNoiseBuffer(ctx, type, _randomFor(seed, type)));
+}
+
+function _sharedImpulse(ctx, env, seed) {
+    const key = `impulse:${env.duration}:${env.decay}:${seed == null ? '' : seed}`;
+    return _shared(ctx, key, () => _createImpulse(ctx, env.duration, env.decay, _randomFor(seed, 'reverb')));
+}
+
+function _createImpulse(ctx, duration, decay, random = Math.random) {
     const len = ctx.sampleRate * duration;
     const buf = ctx.createBuffer(2, len, ctx.sampleRate);
     for (let i = 0; i < len; i++) {
         const k = Math.pow(1 - i / len, decay);
-        buf.getChannelData(0)[i] = (Math.random() * 2 - 1) * k;
-        buf.getChannelData(1)[i] = (Math.random() * 2 - 1) * k;
+        buf.getChannelData(0)[i] = (random() * 2 - 1) * k;
+        buf.getChannelData(1)[i] = (random() * 2 - 1) * k;
     }
     return buf;
 }
 
-// ── SynthauraSFX ───────────────────────────────────────────────────────────
+// ── Spatial ────────────────────────────────────────────────────────────────
 
-export class SynthauraSFX {
-    constructor(options = {}) {
-        this.ctx           = options.ctx || getSharedAudioContext();
-        this.enabled       = true;
-        this.reverbEnabled = options.reverb !== false;
-        this.crunchEnabled = options.crunch !== false;
+const SPATIAL_DEFAULTS = {
+    panningModel:  'equalpower',
+    distanceModel: 'inverse',
+    refDistance:   1,
+    maxDistance:   10000,
+    rolloffFactor: 1,
+};
 
-        this._compressor = this.ctx.createDynamicsCompressor();
-        this._compressor.threshold.value = -20;
-        this._compressor.knee.value      = 40;
-        this._compressor.ratio.value     = 12;
-        this._compressor.attack.value    = 0.005;
-        this._compressor.release.value   = 0.25;
-        this._compressor.connect(this.ctx.destination);
-
-        this._reverbNode = this.ctx.createConvolver();
-        this._reverbNode.buffer = _createImpulse(this.ctx, 1.5, 2.0);
-        this._reverbGain = this.ctx.createGain();
-        this._reverbGain.gain.value = 0.3;
-        this._reverbNode.connect(this._reverbGain);
-        this._reverbGain.connect(this._compressor);
+function _setVector(node, prefix, { x = 0, y = 0, z = 0 } = {}) {
+    node[prefix + 'X'].value = x;
+    node[prefix + 'Y'].value = y;
+    node[prefix + 'Z'].value = z;
+}
 
-        this._crunchNode = this.ctx.createWaveShaper();
-        this._crunchNode.curve = _makeDistortionCurve(100);
-        this._crunchGain = this.ctx.createGain();
-        this._crunchGain.gain.value = 0.15;
-        this._crunchNode.connect(this._crunchGain);
-        this._crunchGain.connect(this._compressor);
+function _setPosition(node, position) {
+    if (node.positionX) _setVector(node, 'position', position);
+    else                node.setPosition(position.x || 0, position.y || 0, position.z || 0);
+}
 
-        this._whiteNoise = _createNoiseBuffer(this.ctx, 'white');
-        this._pinkNoise  = _createNoiseBuffer(this.ctx, 'pink');
-        this._lastPlayTimes = {};
+// 0 = unobstructed, 1 = fully occluded (~400 Hz lowpass).
+function _occlusionCutoff(amount) {
+    return 20000 * Math.pow(0.02, Math.min(1, Math.max(0, amount)));
+}
+
+function _rampSpatial(chain, name, value, now, rampTime) {
+    const { panner, lowpass } = chain;
+    if (name === 'pan' && panner && panner.pan) {
+        _rampParam(panner.pan, Math.min(1, Math.max(-1, value)), now, rampTime);
+    } else if (name === 'position' && panner && !panner.pan) {
+        if (!panner.positionX) { _setPosition(panner, value); return; }
+        _rampParam(panner.positionX, value.x || 0, now, rampTime);
+        _rampParam(panner.positionY, value.y || 0, now, rampTime);
+        _rampParam(panner.positionZ, value.z || 0, now, rampTime);
+    } else if (name === 'occlusion' && lowpass) {
+        _rampParam(lowpass.frequency, _occlusionCutoff(value), now, rampTime);
+    }
+}
+
+function _rampParam(param, value, now, rampTime) {
+    param.cancelScheduledValues(now);
+    param.setValueAtTime(param.value, now);
+    if (rampTime > 0) param.linearRampToValueAtTime(value, now + rampTime);
+    else              param.setValueAtTime(value, now);
+}
+
+// ── WAV Export ─────────────────────────────────────────────────────────────
+
+export function encodeWav(buffer, bitDepth = 16) {
+    if (bitDepth !== 16 && bitDepth !== 24) throw new Error(`Synthaura: unsupported WAV bit depth ${bitDepth}`);
+    const channels   = buffer.numberOfChannels, frames = buffer.length;
+    const bytes      = bitDepth / 8, blockAlign = channels * bytes;
+    const out        = new ArrayBuffer(44 + frames * blockAlign), view = new DataView(out);
+    const writeStr   = (offset, str) => { for (let i = 0; i < str.length; i++) view.setUint8(offset + i, str.charCodeAt(i)); };
+    writeStr(0, 'RIFF');  view.setUint32(4, 36 + frames * blockAlign, true);
+    writeStr(8, 'WAVE');
+    writeStr(12, 'fmt '); view.setUint32(16, 16, true);
+    view.setUint16(20, 1, true);                               // PCM
+    view.setUint16(22, channels, true);
+    view.setUint32(24, buffer.sampleRate, true);
+    view.setUint32(28, buffer.sampleRate * blockAlign, true);
+    view.setUint16(32, blockAlign, true);
+    view.setUint16(34, bitDepth, true);
+    writeStr(36, 'data'); view.setUint32(40, frames * blockAlign, true);
+
+    const data = [];
+    for (let c = 0; c < channels; c++) data.push(buffer.getChannelData(c));
+    const max = Math.pow(2, bitDepth - 1);
+    let offset = 44;
+    for (let i = 0; i < frames; i++) {
+        for (let c = 0; c < channels; c++) {
+            const v = Math.max(-max, Math.min(max - 1, Math.round(data[c][i] * max)));
+            if (bitDepth === 16) {
+                view.setInt16(offset, v, true);
+            } else {
+                view.setUint8(offset,     v & 0xff);
+                view.setUint8(offset + 1, (v >> 8) & 0xff);
+                view.setUint8(offset + 2, (v >> 16) & 0xff);
+            }
+            offset += bytes;
+        }
     }
+    return out;
+}
 
-    resume()  { if (this.ctx.state === 'suspended') this.ctx.resume(); }
+function _wavOutput(buffer, options) {
+    const wav = encodeWav(buffer, options.bitDepth || 16);
+    return options.format === 'arraybuffer' ? wav : new Blob([wav], { type: 'audio/wav' });
+}
 
-    destroy() {
-        this._compressor.disconnect();
-        this._reverbNode.disconnect();
-        this._reverbGain.disconnect();
-        this._crunchNode.disconnect();
-        this._crunchGain.disconnect();
+// ── Effects ────────────────────────────────────────────────────────────────
+//
+// Reverb environments are { duration, decay, wet, tone? } — impulse length
+// (s), decay exponent, send level and an optional lowpass on the return.
+//
+// Insert effects are { type, ...options }, chained in order:
+//   delay       time (s), feedback 0..0.95, tone (lowpass Hz in the loop), mix
+//   chorus      rate (Hz), depth (s), delay (s), mix
+//   bitcrusher  bits (1..16), mix
+//   eq          low, mid, high (dB); lowFreq, midFreq, highFreq, Q
+//   filter      filterType, frequency, Q
+//   reverb      environment (name or object), mix
+// `mix` is the wet share (dry = 1 - mix); eq and filter are always inline.
+
+export const REVERB_PRESETS = {
+    room:      { duration: 1.5, decay: 2.0, wet: 0.3 },
+    smallRoom: { duration: 0.6, decay: 3.0, wet: 0.25, tone: 6000 },
+    hall:      { duration: 3.0, decay: 2.0, wet: 0.35 },
+    cave:      { duration: 4.5, decay: 1.4, wet: 0.5,  tone: 3000 },
+    outdoors:  { duration: 0.8, decay: 5.0, wet: 0.12, tone: 8000 },
+};
+
+function _reverbEnvironment(environment) {
+    const env = typeof environment === 'string' ? REVERB_PRESETS[environment] : environment;
+    if (!env) throw new Error(`Synthaura: unknown reverb environment "${environment}"`);
+    return { duration: 2, decay: 2, wet: 0.3, ...env };
+}
+
+const COMPRESSOR_PARAMS = ['threshold', 'knee', 'ratio', 'attack', 'release'];
+
+function _configureCompressor(node, settings) {
+    for (const key of COMPRESSOR_PARAMS) {
+        if (settings[key] != null) node[key].value = settings[key];
     }
+}
 
-    playSwordSlashLight() {
-        if (!this.enabled) return;
-        this.resume();
-        this._playWhoosh(1800, 0.15, 0.30, 'highpass', 0.5);
-        this._playWhoosh(1200, 0.20, 0.15, 'bandpass', 1.0);
+function _compressorSettings(node) {
+    const settings = {};
+    for (const key of COMPRESSOR_PARAMS) settings[key] = node[key].value;
+    return settings;
+}
+
+function _crushCurve(bits) {
+    const steps = Math.pow(2, Math.max(1, Math.min(16, bits)) - 1), curve = new Float32Array(4096);
+    for (let i = 0; i < curve.length; i++) curve[i] = Math.round((i * 2 / (curve.length - 1) - 1) * steps) / steps;
+    return curve;
+}
+
+function _createEffect(ctx, spec, seed) {
+    const input = ctx.createGain(), output = ctx.createGain();
+    const fx  = { type: spec.type, input, output, nodes: [input, output], sources: [], params: {}, tail: 0 };
+    const add = node => { fx.nodes.push(node); return node; };
+    const mix = (wetIn, wetOut, amount) => {
+        const dry = add(ctx.createGain()), wet = add(ctx.createGain());
+        dry.gain.value = 1 - amount;
+        wet.gain.value = amount;
+        input.connect(dry); dry.connect(output);
+        input.connect(wetIn); wetOut.connect(wet); wet.connect(output);
+        fx.params.mix = (value, now, rampTime) => {
+            _rampParam(dry.gain, 1 - value, now, rampTime);
+            _rampParam(wet.gain, value, now, rampTime);
+        };
+    };
+    switch (spec.type) {
+        case 'delay': {
+            const delay = add(ctx.createDelay(5)), feedback = add(ctx.createGain());
+            delay.delayTime.value = spec.time == null ? 0.25 : spec.time;
+            feedback.gain.value   = Math.min(0.95, spec.feedback == null ? 0.35 : spec.feedback);
+            let last = delay;
+            if (spec.tone) {
+                const tone = add(ctx.createBiquadFilter());
+                tone.frequency.value = spec.tone;
+                delay.connect(tone); last = tone;
+            }
+            last.connect(feedback); feedback.connect(delay);
+            mix(delay, last, spec.mix == null ? 0.3 : spec.mix);
+            Object.assign(fx.params, { time: delay.delayTime, feedback: feedback.gain });
+            fx.tail = delay.delayTime.value * Math.log(0.001) / Math.log(Math.max(0.01, feedback.gain.value));
+            break;
+        }
+        case 'chorus': {
+            const delay = add(ctx.createDelay(0.1)), lfo = add(ctx.createOscillator()), depth = add(ctx.createGain());
+            delay.delayTime.value = spec.delay == null ? 0.02  : spec.delay;
+            lfo.frequency.value   = spec.rate  == null ? 1.5   : spec.rate;
+            depth.gain.value      = spec.depth == null ? 0.003 : spec.depth;
+            lfo.connect(depth); depth.connect(delay.delayTime);
+            lfo.start();
+            fx.sources.push(lfo);
+            mix(delay, delay, spec.mix == null ? 0.5 : spec.mix);
+            Object.assign(fx.params, { rate: lfo.frequency, depth: depth.gain });
+            fx.tail = 0.1;
+            break;
+        }
+        case 'bitcrusher': {
+            const shaper = add(ctx.createWaveShaper());
+            const curve = bits => _shared(ctx, `crush:${bits}`, () => _crushCurve(bits));
+            shaper.curve = curve(spec.bits == null ? 6 : spec.bits);
+            mix(shaper, shaper, spec.mix == null ? 1 : spec.mix);
+            fx.params.bits = value => { shaper.curve = curve(value); };
+            break;
+        }
+        case 'eq': {
+            let last = input;
+            for (const [name, type, frequency] of [['low', 'lowshelf', spec.lowFreq || 250], ['mid', 'peaking', spec.midFreq || 1000], ['high', 'highshelf', spec.highFreq || 4000]]) {
+                const band = add(ctx.createBiquadFilter());
+                band.type            = type;
+                band.frequency.value = frequency;
+                band.gain.value      = spec[name] || 0;
+                if (type === 'peaking' && spec.Q != null) band.Q.value = spec.Q;
+                last.connect(band); last = band;
+                fx.params[name] = band.gain;
+            }
+            last.connect(output);
+            break;
+        }
+        case 'filter': {
+            const filter = add(ctx.createBiquadFilter());
+            filter.type            = spec.filterType || 'lowpass';
+            filter.frequency.value = spec.frequency == null ? 1000 : spec.frequency;
+            if (spec.Q != null) filter.Q.value = spec.Q;
+            input.connect(filter); filter.connect(output);
+            Object.assign(fx.params, { frequency: filter.frequency, Q: filter.Q });
+            break;
+        }
+        case 'reverb': {
+            const env = _reverbEnvironment(spec.environment || 'room');
+            const convolver = add(ctx.createConvolver());
+            convolver.buffer = _sharedImpulse(ctx, env, seed);
+            let last = convolver;
+            if (env.tone) {
+                const tone = add(ctx.createBiquadFilter());
+                tone.frequency.value = env.tone;
+                convolver.connect(tone); last = tone;
+            }
+            mix(convolver, last, spec.mix == null ? env.wet : spec.mix);
+            fx.tail = env.duration;
+            break;
+        }
+        default:
+            throw new Error(`Synthaura: unknown effect "${spec.type}"`);
     }
+    return fx;
+}
 
-    playSwordSlashHeavy() {
-        if (!this.enabled) return;
-        this.resume();
-        this._playWhoosh(800,  0.40, 1.0, 'lowpass',  1.0);
-        this._playWhoosh(3000, 0.30, 0.2, 'bandpass', 5.0);
-        const t = this.ctx.currentTime;
-        const osc = this.ctx.createOscillator(), gain = this.ctx.createGain();
-        osc.frequency.setValueAtTime(120, t);
-        osc.frequency.exponentialRampToValueAtTime(10, t + 0.3);
-        gain.gain.setValueAtTime(0.5, t);
-        gain.gain.exponentialRampToValueAtTime(0.01, t + 0.3);
-        osc.connect(gain);
-        this._route(gain, false, false);
-        osc.start(t); osc.stop(t + 0.3);
-        osc.onended = makeCleanup(osc, gain);
-    }
-
-    playGunshot() {
-        if (!this.enabled) return;
-        this.resume();
-        const t = this.ctx.currentTime;
-        const src = this.ctx.createBufferSource(), filter = this.ctx.createBiquadFilter(), gain = this.ctx.createGain();
-        src.buffer = this._whiteNoise;
-        filter.type = 'bandpass'; filter.frequency.value = 2500;
-        src.connect(filter); filter.connect(gain);
-        this._route(gain, false, true);
-        gain.gain.setValueAtTime(0.25, t);
-        gain.gain.exponentialRampToValueAtTime(0.01, t + 0.05);
-        src.start(t); src.stop(t + 0.1);
-        src.onended = makeCleanup(src, filter, gain);
-    }
-
-    playMagicIceCast() {
-        if (!this.enabled || !this._canPlay('iceCast', 100)) return;
-        this.resume();
-        const t = this.ctx.currentTime;
-        [1200, 1800].forEach((freq, i) => {
-            const osc = this.ctx.createOscillator(), gain = this.ctx.createGain();
-            osc.type = 'sine';
-            osc.frequency.value = freq + (Math.random() - 0.5) * 50;
-            gain.gain.setValueAtTime(0, t);
-            gain.gain.linearRampToValueAtTime(0.1, t + 0.05 + i * 0.05);
-            gain.gain.exponentialRampToValueAtTime(0.001, t + 0.5);
-            osc.connect(gain);
-            this._route(gain, true, false);
-            osc.start(t + i * 0.05); osc.stop(t + 0.6);
-            osc.onended = makeCleanup(osc, gain);
-        });
+// A chain of insert effects between `input` and `output`.
+class EffectChain {
+    constructor(ctx, specs, seed) {
+        this.ctx     = ctx;
+        this.input   = ctx.createGain();
+        this.output  = ctx.createGain();
+        this.effects = specs.map(spec => _createEffect(ctx, spec, seed));
+        let last = this.input;
+        for (const fx of this.effects) { last.connect(fx.input); last = fx.output; }
+        last.connect(this.output);
     }
 
-    playHitCrunchy() {
-        if (!this.enabled || !this._canPlay('hitCrunchy', 50)) return;
-        this.resume();
-        const t = this.ctx.currentTime;
-        const osc = this.ctx.createOscillator(), gain = this.ctx.createGain();
-        osc.type = 'square';
-        osc.frequency.setValueAtTime(220, t);
-        osc.frequency.exponentialRampToValueAtTime(100, t + 0.08);
-        gain.gain.setValueAtTime(0.1, t);
-        gain.gain.exponentialRampToValueAtTime(0.01, t + 0.08);
-        osc.connect(gain);
-        this._route(gain, false, false);
-        osc.start(t); osc.stop(t + 0.1);
-        osc.onended = makeCleanup(osc, gain);
-    }
-
-    playExplosion() {
-        if (!this.enabled || !this._canPlay('explosion', 150)) return;
-        this.resume();
-        const t = this.ctx.currentTime;
-        const src = this.ctx.createBufferSource(), filter = this.ctx.createBiquadFilter(), gain = this.ctx.createGain();
-        src.buffer = this._pinkNoise;
-        filter.type = 'lowpass'; filter.frequency.value = 400;
-        gain.gain.setValueAtTime(1.0, t);
-        gain.gain.exponentialRampToValueAtTime(0.01, t + 1.2);
-        src.connect(filter); filter.connect(gain);
-        this._route(gain, true, false);
-        src.start(t); src.stop(t + 1.3);
-        src.onended = makeCleanup(src, filter, gain);
-
-        const osc = this.ctx.createOscillator(), og = this.ctx.createGain();
-        osc.frequency.setValueAtTime(80, t);
-        osc.frequency.exponentialRampToValueAtTime(20, t + 0.4);
-        og.gain.setValueAtTime(0.8, t);
-        og.gain.exponentialRampToValueAtTime(0.01, t + 0.4);
-        osc.connect(og);
-        this._route(og, false, false);
-        osc.start(t); osc.stop(t + 0.4);
-        osc.onended = makeCleanup(osc, og);
-    }
-
-    playPickup() {
-        if (!this.enabled || !this._canPlay('pickup', 80)) return;
-        this.resume();
-        const t = this.ctx.currentTime;
-        [523, 659, 784].forEach((freq, i) => {
-            const osc = this.ctx.createOscillator(), gain = this.ctx.createGain();
-            const st = t + i * 0.07;
-            osc.type = 'sine'; osc.frequency.value = freq;
-            gain.gain.setValueAtTime(0, st);
-            gain.gain.linearRampToValueAtTime(0.15, st + 0.02);
-            gain.gain.exponentialRampToValueAtTime(0.001, st + 0.18);
-            osc.connect(gain);
-            this._route(gain, true, false);
-            osc.start(st); osc.stop(st + 0.2);
-            osc.onended = makeCleanup(osc, gain);
-        });
+    // Seconds the chain keeps ringing after its input goes silent.
+    get tail() { return this.effects.reduce((tail, fx) => tail + fx.tail, 0); }
+
+    set(index, name, value, rampTime = 0.05) {
+        const fx = this.effects[index];
+        if (!fx) throw new Error(`Synthaura: no effect at index ${index}`);
+        const target = fx.params[name];
+        if (!target) throw new Error(`Synthaura: unknown ${fx.type} param "${name}"`);
+        const now = this.ctx.currentTime;
+        if (typeof target === 'function') target(value, now, rampTime);
+        else                              _rampParam(target, value, now, rampTime);
+        return this;
     }
 
-    playUIClick() {
-        if (!this.enabled) return;
-        this.resume();
-        const t = this.ctx.currentTime;
-        const osc = this.ctx.createOscillator(), gain = this.ctx.createGain();
-        osc.type = 'sine';
-        osc.frequency.setValueAtTime(1200, t);
-        osc.frequency.exponentialRampToValueAtTime(800, t + 0.05);
-        gain.gain.setValueAtTime(0.08, t);
-        gain.gain.exponentialRampToValueAtTime(0.001, t + 0.05);
-        osc.connect(gain);
-        this._route(gain, false, false);
-        osc.start(t); osc.stop(t + 0.06);
-        osc.onended = makeCleanup(osc, gain);
-    }
-
-    _route(gainNode, useReverb, useCrunch) {
-        gainNode.connect(this._compressor);
-        if (useReverb && this.reverbEnabled) gainNode.connect(this._reverbNode);
-        if (useCrunch && this.crunchEnabled) gainNode.connect(this._crunchNode);
+    disconnect() {
+        for (const fx of this.effects) {
+            for (const src of fx.sources) { try { src.stop(); } catch (_) {} }
+        }
+        makeCleanup(this.input, this.output, ...this.effects.flatMap(fx => fx.nodes))();
     }
+}
 
-    _canPlay(id, cooldownMs) {
-        const now = Date.now(), last = this._lastPlayTimes[id] || 0;
-        if (now - last < cooldownMs) return false;
-        this._lastPlayTimes[id] = now;
-        return true;
+// Reverb send whose environment can be swapped with a crossfade.
+class ReverbSend {
+    constructor(ctx, output, environment, seed) {
+        this.ctx     = ctx;
+        this.output  = output;
+        this.input   = ctx.createGain();
+        this._seed   = seed;
+        this._timers = new Map();
+        this._active = this._create(environment);
     }
 
-    _playWhoosh(freqStart, duration, volume, filterType, Q) {
-        const t = this.ctx.currentTime;
-        const src = this.ctx.createBufferSource(), filter = this.ctx.createBiquadFilter(), gain = this.ctx.createGain();
-        src.buffer = this._whiteNoise; filter.type = filterType; filter.Q.value = Q;
-        src.connect(filter); filter.connect(gain);
-        this._route(gain, true, false);
-        filter.frequency.setValueAtTime(freqStart, t);
-        filter.frequency.exponentialRampToValueAtTime(100, t + duration);
-        gain.gain.setValueAtTime(0, t);
-        gain.gain.linearRampToValueAtTime(volume, t + 0.05);
-        gain.gain.exponentialRampToValueAtTime(0.01, t + duration);
-        src.start(t); src.stop(t + duration + 0.1);
-        src.onended = makeCleanup(src, filter, gain);
+    get environment() { return this._active.env; }
+
+    set(environment, crossfade = 1) {
+        const old  = this._active, next = this._create(environment);
+        const now  = this.ctx.currentTime, fade = Math.max(0.01, crossfade);
+        next.wet.gain.setValueAtTime(0, now);
+        next.wet.gain.linearRampToValueAtTime(next.env.wet, now + fade);
+        _rampParam(old.wet.gain, 0, now, fade);
+        const cleanup = makeCleanup(...old.nodes);
+        _later(this._timers, () => {
+            try { this.input.disconnect(old.nodes[0]); } catch (_) {}
+            cleanup();
+        }, (fade + 0.1) * 1000);
+        this._active = next;
+    }
+
+    disconnect() {
+        _clearTimers(this._timers, true);
+        this.input.disconnect();
+        makeCleanup(...this._active.nodes)();
+    }
+
+    _create(environment) {
+        const env = _reverbEnvironment(environment);
+        const convolver = this.ctx.createConvolver(), wet = this.ctx.createGain();
+        convolver.buffer = _sharedImpulse(this.ctx, env, this._seed);
+        wet.gain.value   = env.wet;
+        const nodes = [convolver, wet];
+        this.input.connect(convolver);
+        let last = convolver;
+        if (env.tone) {
+            const tone = this.ctx.createBiquadFilter();
+            tone.frequency.value = env.tone;
+            convolver.connect(tone); last = tone; nodes.push(tone);
+        }
+        last.connect(wet);
+        wet.connect(this.output);
+        return { env, wet, nodes };
     }
 }
 
-// ── SynthauraBGM ───────────────────────────────────────────────────────────
+function _createLfo(ctx, { rate = 0, depth = 0, wave }, param, t, stopAt) {
+    const osc = ctx.createOscillator(), amount = ctx.createGain();
+    if (wave) osc.type = wave;
+    osc.frequency.value = rate;
+    amount.gain.value   = depth;
+    osc.connect(amount); amount.connect(param);
+    osc.start(t);
+    if (stopAt != null) osc.stop(stopAt);
+    return [osc, amount];
+}
+
+// ── SFX Presets ────────────────────────────────────────────────────────────
+//
+// A preset is plain JSON: { cooldown?, layers: [layer, ...] }. Each layer is
+// one source → optional filter → gain chain; the layers sum into the voice,
+// which is spatialized once and handed to _route:
+//
+//   source     'sine' | 'square' | 'sawtooth' | 'triangle' | 'pulse' | 'white' | 'pink'
+//   duty       pulse width 0..1 for 'pulse' (default 0.5)
+//   frequency  oscillator pitch in Hz (number or envelope)
+//   rate       noise playback rate (number or envelope)
+//   jitter     random pitch spread in Hz, ±jitter/2 per trigger
+//   vibrato    { rate (Hz), depth (cents) }
+//   lfo        { target: 'gain' | 'filter', rate (Hz), depth } — 'filter'
+//              moves the last filter's cutoff by ±depth Hz
+//   filter     { type, frequency, Q } — frequency may be an envelope; an
+//              array of filters is chained in order
+//   gain       number or envelope
+//   delay      time offset of the whole layer
+//   start/stop source start and stop, relative to the layer
+//   reverb, crunch  send flags; the voice is sent when any layer sets one
+//
+// Preset-level fields: cooldown (ms, audio clock), maxVoices and steal
+// ('oldest' | 'quietest' | 'reject'), bus (mixer bus for the dry signal, e.g.
+// 'ui'), duck (amount, or SynthauraMixer.duck() options plus bus),
+// variation (default for play()) and effects (insert chain for the whole
+// sound, see Effects).
+//
+// play() overrides: volume, pitch, brightness (filter cutoff multiplier),
+// intensity 0..1 (quieter and darker below 1), variation 0..1 (random pitch,
+// level and tone spread per trigger), delay, seed, reverb/crunch, plus spatial
+// options position {x,y,z} (PannerNode), pan -1..1 (StereoPannerNode),
+// occlusion 0..1 and spatial (per-call PannerNode settings).
+//
+// Envelopes are [[time, value, curve?], ...] with times relative to the layer
+// and curve 'linear' | 'exp' | omitted (step via setValueAtTime).
+
+function _applyEnvelope(param, env, t, scale = 1, offset = 0) {
+    if (env == null) return;
+    if (typeof env === 'number') { param.value = (env + offset) * scale; return; }
+    for (const [time, value, curve] of env) {
+        const v = (value + offset) * scale;
+        if (curve === 'exp')         param.exponentialRampToValueAtTime(Math.max(v, 0.0001), t + time);
+        else if (curve === 'linear') param.linearRampToValueAtTime(v, t + time);
+        else                         param.setValueAtTime(v, t + time);
+    }
+}
+
+function _layerEnd(layer) {
+    if (layer.stop != null) return layer.stop;
+    let end = 0;
+    const filters = [].concat(layer.filter || []).map(filter => filter.frequency);
+    for (const env of [layer.gain, layer.frequency, layer.rate, ...filters]) {
+        if (Array.isArray(env)) for (const [time] of env) end = Math.max(end, time);
+    }
+    return end;
+}
+
+function _envelopePeak(env) {
+    if (env == null)             return 1;
+    if (typeof env === 'number') return env;
+    return env.reduce((peak, [, value]) => Math.max(peak, value), 0);
+}
+
+function _presetDuration(preset) {
+    let end = 0;
+    for (const layer of preset.layers) end = Math.max(end, (layer.delay || 0) + _layerEnd(layer));
+    return (preset.delay || 0) + end;
+}
+
+function _footstepLayers(source, filter, decay, gain, extra = []) {
+    return [{ source, filter, gain: [[0, gain], [decay, 0.001, 'exp']], stop: decay + 0.01 }, ...extra];
+}
+
+function _whooshLayer(freqStart, duration, volume, filterType, Q) {
+    return {
+        source: 'white',
+        filter: { type: filterType, Q, frequency: [[0, freqStart], [duration, 100, 'exp']] },
+        gain:   [[0, 0], [0.05, volume, 'linear'], [duration, 0.01, 'exp']],
+        stop:   duration + 0.1,
+        reverb: true,
+    };
+}
+
+export const SFX_PRESETS = {
+    swordSlashLight: {
+        layers: [
+            _whooshLayer(1800, 0.15, 0.30, 'highpass', 0.5),
+            _whooshLayer(1200, 0.20, 0.15, 'bandpass', 1.0),
+        ],
+    },
+    swordSlashHeavy: {
+        layers: [
+            _whooshLayer(800,  0.40, 1.0, 'lowpass',  1.0),
+            _whooshLayer(3000, 0.30, 0.2, 'bandpass', 5.0),
+            { source: 'sine', frequency: [[0, 120], [0.3, 10, 'exp']], gain: [[0, 0.5], [0.3, 0.01, 'exp']], stop: 0.3 },
+        ],
+    },
+    gunshot: {
+        maxVoices: 6,
+        layers: [
+            { source: 'white', filter: { type: 'bandpass', frequency: 2500 }, gain: [[0, 0.25], [0.05, 0.01, 'exp']], stop: 0.1, crunch: true },
+        ],
+    },
+    magicIceCast: {
+        cooldown: 100,
+        layers: [
+            { source: 'sine', frequency: 1200, jitter: 50, gain: [[0, 0], [0.05, 0.1, 'linear'], [0.5, 0.001, 'exp']], stop: 0.6, reverb: true },
+            { source: 'sine', frequency: 1800, jitter: 50, gain: [[0, 0], [0.10, 0.1, 'linear'], [0.5, 0.001, 'exp']], start: 0.05, stop: 0.6, reverb: true },
+        ],
+    },
+    hitCrunchy: {
+        cooldown: 50,
+        layers: [
+            { source: 'square', frequency: [[0, 220], [0.08, 100, 'exp']], gain: [[0, 0.1], [0.08, 0.01, 'exp']], stop: 0.1 },
+        ],
+    },
+    explosion: {
+        cooldown: 150,
+        duck:     { amount: 0.6, hold: 0.3, release: 1.0 },
+        layers: [
+            { source: 'pink', filter: { type: 'lowpass', frequency: 400 }, gain: [[0, 1.0], [1.2, 0.01, 'exp']], stop: 1.3, reverb: true },
+            { source: 'sine', frequency: [[0, 80], [0.4, 20, 'exp']], gain: [[0, 0.8], [0.4, 0.01, 'exp']], stop: 0.4 },
+        ],
+    },
+    pickup: {
+        cooldown: 80,
+        layers: [523, 659, 784].map((freq, i) => (
+            { source: 'sine', frequency: freq, delay: i * 0.07, gain: [[0, 0], [0.02, 0.15, 'linear'], [0.18, 0.001, 'exp']], stop: 0.2, reverb: true }
+        )),
+    },
+    uiClick: {
+        bus: 'ui',
+        layers: [
+            { source: 'sine', frequency: [[0, 1200], [0.05, 800, 'exp']], gain: [[0, 0.08], [0.05, 0.001, 'exp']], stop: 0.06 },
+        ],
+    },
+
+    // ── Combat pack
+    swordSlashMedium: {
+        variation: 0.15,
+        layers: [
+            _whooshLayer(1400, 0.25, 0.6,  'bandpass', 0.8),
+            _whooshLayer(2500, 0.20, 0.15, 'highpass', 2.0),
+        ],
+    },
+    fireCast: {
+        cooldown:  100,
+        variation: 0.15,
+        layers: [
+            { source: 'pink', filter: { type: 'lowpass', Q: 2, frequency: [[0, 300], [0.25, 2500, 'exp'], [0.7, 400, 'exp']] },
+              gain: [[0, 0], [0.1, 0.8, 'linear'], [0.7, 0.01, 'exp']], stop: 0.75, reverb: true },
+            _whooshLayer(900, 0.4, 0.3, 'bandpass', 1.5),
+            { source: 'white', filter: { type: 'highpass', frequency: 3000 }, gain: [[0, 0], [0.05, 0.06, 'linear'], [0.5, 0.001, 'exp']], stop: 0.55, crunch: true },
+            { source: 'sine', frequency: [[0, 150], [0.3, 60, 'exp']], gain: [[0, 0.3], [0.3, 0.01, 'exp']], stop: 0.3 },
+        ],
+    },
+    lightningZap: {
+        cooldown:  60,
+        variation: 0.2,
+        layers: [
+            { source: 'sawtooth', frequency: [[0, 1800], [0.03, 400], [0.06, 2200], [0.09, 600], [0.12, 1500], [0.25, 200, 'exp']],
+              vibrato: { rate: 60, depth: 300 }, gain: [[0, 0.2], [0.25, 0.001, 'exp']], stop: 0.26, crunch: true },
+            { source: 'white', filter: { type: 'highpass', frequency: [[0, 6000], [0.2, 2000, 'exp']] }, gain: [[0, 0.4], [0.2, 0.001, 'exp']], stop: 0.21, crunch: true, reverb: true },
+        ],
+    },
+    lightningChain: {
+        cooldown:  200,
+        variation: 0.1,
+        duck:      0.3,
+        layers: [
+            ...[0, 0.12, 0.22, 0.3].flatMap((delay, i) => [
+                { source: 'sawtooth', delay, frequency: [[0, 2000 - i * 300], [0.04, 500], [0.08, 1600 - i * 200], [0.15, 150, 'exp']],
+                  vibrato: { rate: 60, depth: 300 }, gain: [[0, 0.18], [0.15, 0.001, 'exp']], stop: 0.16, crunch: true },
+                { source: 'white', delay, filter: { type: 'highpass', frequency: 4000 }, gain: [[0, 0.3 - i * 0.05], [0.12, 0.001, 'exp']], stop: 0.13, crunch: true },
+            ]),
+            { source: 'pink', delay: 0.1, filter: { type: 'lowpass', frequency: [[0, 500], [1.5, 80, 'exp']] },
+              gain: [[0, 0], [0.1, 0.6, 'linear'], [1.5, 0.01, 'exp']], stop: 1.6, reverb: true },
+        ],
+    },
+    heal: {
+        cooldown: 200,
+        layers: [
+            ...[523, 659, 784, 1047].map((freq, i) => (
+                { source: 'sine', frequency: freq, delay: i * 0.08, vibrato: { rate: 6, depth: 10 },
+                  gain: [[0, 0], [0.05, 0.1, 'linear'], [0.6, 0.001, 'exp']], stop: 0.65, reverb: true }
+            )),
+            { source: 'triangle', frequency: [[0, 1568], [0.8, 2093, 'exp']], gain: [[0, 0], [0.3, 0.04, 'linear'], [0.9, 0.001, 'exp']], stop: 0.95, reverb: true },
+            { source: 'white', filter: { type: 'highpass', frequency: 8000 }, gain: [[0, 0], [0.2, 0.03, 'linear'], [0.8, 0.001, 'exp']], stop: 0.85, reverb: true },
+        ],
+    },
+    shieldHit: {
+        cooldown:  50,
+        variation: 0.2,
+        layers: [
+            ...[[420, 0.2], [1160, 0.12], [2270, 0.08], [3540, 0.05]].map(([freq, gain]) => (
+                { source: 'sine', frequency: freq, jitter: 20, gain: [[0, gain], [0.5, 0.001, 'exp']], stop: 0.55, reverb: true }
+            )),
+            { source: 'white', filter: { type: 'bandpass', Q: 1.5, frequency: 1500 }, gain: [[0, 0.5], [0.06, 0.01, 'exp']], stop: 0.07, crunch: true },
+            { source: 'sine', frequency: [[0, 160], [0.1, 60, 'exp']], gain: [[0, 0.4], [0.1, 0.01, 'exp']], stop: 0.1 },
+        ],
+    },
+    bowShot: {
+        variation: 0.15,
+        layers: [
+            { source: 'triangle', frequency: [[0, 220], [0.12, 140, 'exp']], gain: [[0, 0.35], [0.15, 0.001, 'exp']], stop: 0.16 },
+            { source: 'white', filter: { type: 'bandpass', Q: 4, frequency: 900 }, gain: [[0, 0.2], [0.03, 0.01, 'exp']], stop: 0.04 },
+            { ..._whooshLayer(2500, 0.3, 0.25, 'bandpass', 2.0), delay: 0.02 },
+        ],
+    },
+    reload: {
+        cooldown: 300,
+        layers: [
+            { source: 'white', filter: { type: 'bandpass', Q: 3, frequency: 3000 }, gain: [[0, 0.3], [0.03, 0.001, 'exp']], stop: 0.04 },
+            { source: 'white', delay: 0.1, filter: { type: 'highpass', frequency: [[0, 2000], [0.15, 4000, 'exp']] },
+              gain: [[0, 0], [0.05, 0.08, 'linear'], [0.15, 0.001, 'exp']], stop: 0.16 },
+            { source: 'white', delay: 0.3, filter: { type: 'bandpass', Q: 2, frequency: 1800 }, gain: [[0, 0.4], [0.05, 0.001, 'exp']], stop: 0.06, crunch: true },
+            { source: 'square', delay: 0.3, frequency: [[0, 300], [0.04, 120, 'exp']], gain: [[0, 0.06], [0.04, 0.001, 'exp']], stop: 0.05 },
+        ],
+    },
+
+    // ── Footsteps, one preset per surface (see playFootstep)
+    footstepGrass: {
+        maxVoices: 4, variation: 0.4,
+        layers: _footstepLayers('pink', { type: 'bandpass', Q: 0.8, frequency: 2500 }, 0.15, 0.3, [
+            { source: 'white', delay: 0.03, filter: { type: 'highpass', frequency: 5000 }, gain: [[0, 0.05], [0.1, 0.001, 'exp']], stop: 0.11 },
+        ]),
+    },
+    footstepStone: {
+        maxVoices: 4, variation: 0.35,
+        layers: _footstepLayers('white', { type: 'bandpass', Q: 1.5, frequency: 1200 }, 0.05, 0.4, [
+            { source: 'sine', frequency: [[0, 120], [0.06, 60, 'exp']], gain: [[0, 0.25], [0.06, 0.001, 'exp']], stop: 0.07, reverb: true },
+        ]),
+    },
+    footstepWood: {
+        maxVoices: 4, variation: 0.35,
+        layers: _footstepLayers('white', { type: 'bandpass', Q: 2, frequency: 800 }, 0.05, 0.25, [
+            { source: 'triangle', frequency: [[0, 180], [0.08, 120, 'exp']], gain: [[0, 0.3], [0.08, 0.001, 'exp']], stop: 0.09 },
+        ]),
+    },
+    footstepGravel: {
+        maxVoices: 4, variation: 0.4,
+        layers: [0, 0.02, 0.045, 0.07].flatMap((delay, i) => _footstepLayers('white', { type: 'highpass', frequency: 2500 + i * 500 }, 0.03, 0.25 - i * 0.04)
+            .map(layer => ({ ...layer, delay, crunch: true }))),
+    },
+    footstepMetal: {
+        maxVoices: 4, variation: 0.3,
+        layers: _footstepLayers('white', { type: 'bandpass', Q: 2, frequency: 3000 }, 0.04, 0.2, [
+            { source: 'sine', frequency: 610,  gain: [[0, 0.08], [0.3, 0.001, 'exp']], stop: 0.31, reverb: true },
+            { source: 'sine', frequency: 1530, gain: [[0, 0.05], [0.2, 0.001, 'exp']], stop: 0.21, reverb: true },
+        ]),
+    },
 
-const SECTIONS = {
-    INTRO:     { start: 0,  end: 8  },
-    VERSE:     { start: 8,  end: 16 },
-    CHORUS:    { start: 16, end: 32 },
-    BREAKDOWN: { start: 32, end: 40 },
-    BUILD:     { start: 40, end: 48 },
-    OUTRO:     { start: 48, end: Infinity },
+    // ── UI
+    uiHover: {
+        bus: 'ui', cooldown: 40,
+        layers: [
+            { source: 'sine', frequency: 1800, gain: [[0, 0], [0.005, 0.03, 'linear'], [0.04, 0.001, 'exp']], stop: 0.05 },
+        ],
+    },
+    uiConfirm: {
+        bus: 'ui',
+        layers: [660, 990].map((freq, i) => (
+            { source: 'sine', frequency: freq, delay: i * 0.07, gain: [[0, 0], [0.01, 0.1, 'linear'], [0.15, 0.001, 'exp']], stop: 0.16 }
+        )),
+    },
+    uiCancel: {
+        bus: 'ui',
+        layers: [660, 440].map((freq, i) => (
+            { source: 'triangle', frequency: freq, delay: i * 0.07, gain: [[0, 0], [0.01, 0.12, 'linear'], [0.15, 0.001, 'exp']], stop: 0.16 }
+        )),
+    },
+    uiError: {
+        bus: 'ui', cooldown: 200,
+        layers: [0, 0.12].map(delay => (
+            { source: 'square', frequency: 150, delay, filter: { type: 'lowpass', frequency: 1200 },
+              gain: [[0, 0], [0.01, 0.08, 'linear'], [0.08, 0.08, 'linear'], [0.1, 0.001, 'exp']], stop: 0.11 }
+        )),
+    },
 };
 
-export class SynthauraBGM {
-    constructor(options = {}) {
-        this.ctx          = options.ctx || getSharedAudioContext();
-        this.onBeat       = options.onBeat || (() => {});
-        this.bpm          = 128;
-        this.noteLength   = 60 / this.bpm / 4;
-        this.isPlaying    = false;
-        this.nextNoteTime = 0;
-        this.tick         = 0;
-        this.measure      = 0;
-        this.currentTrack = 'ambient';
+// ── SFX Loops ──────────────────────────────────────────────────────────────
+//
+// A loop is a sustained sound started with startLoop() and stopped with
+// release() or stop(): { params, layers, grains?, attack, release, bus, reverb, crunch,
+// effects }.
+// Layers use the preset layer format, but run (and noise sources loop) until
+// release. Any of frequency, rate, gain and filter frequency can be bound to a
+// loop parameter with { param, min, max, curve: 'exp'? } — params are 0..1
+// and are changed with handle.setParam(name, value, rampTime).
+//
+// grains: { rate (per second, number or binding), variation, layer } plays
+// the one-shot layer at random intervals (rain drops, crackles, bubbles).
 
-        this._compressor = this.ctx.createDynamicsCompressor();
-        this._compressor.threshold.value = -12;
-        this._compressor.connect(this.ctx.destination);
+export const SFX_LOOPS = {
+    rain: {
+        bus: 'ambience', attack: 1, release: 1.5,
+        params: { intensity: 0.5 },
+        layers: [
+            { source: 'pink', filter: [{ type: 'highpass', frequency: 400 }, { type: 'lowpass', frequency: { param: 'intensity', min: 2500, max: 8000, curve: 'exp' } }],
+              gain: { param: 'intensity', min: 0.05, max: 0.35 } },
+            { source: 'white', filter: { type: 'bandpass', Q: 0.5, frequency: 6000 }, gain: { param: 'intensity', min: 0.01, max: 0.08 } },
+        ],
+        grains: {
+            rate: { param: 'intensity', min: 5, max: 40 }, variation: 0.8,
+            layer: { source: 'sine', frequency: [[0, 2600], [0.03, 1200, 'exp']], gain: [[0, 0.04], [0.03, 0.001, 'exp']], stop: 0.035 },
+        },
+    },
+    wind: {
+        bus: 'ambience', attack: 2, release: 2,
+        params: { strength: 0.5 },
+        layers: [
+            { source: 'pink', filter: { type: 'bandpass', Q: 1.2, frequency: { param: 'strength', min: 300, max: 1200, curve: 'exp' } },
+              lfo: { target: 'filter', rate: 0.15, depth: 250 }, gain: { param: 'strength', min: 0.1, max: 0.6 } },
+            { source: 'white', filter: { type: 'bandpass', Q: 8, frequency: { param: 'strength', min: 600, max: 2000, curve: 'exp' } },
+              lfo: { target: 'gain', rate: 0.23, depth: 0.01 }, gain: { param: 'strength', min: 0.01, max: 0.06 } },
+        ],
+    },
+    fire: {
+        bus: 'ambience', attack: 0.8, release: 1.2,
+        params: { size: 0.5 },
+        layers: [
+            { source: 'pink', filter: { type: 'lowpass', frequency: { param: 'size', min: 300, max: 900, curve: 'exp' } },
+              lfo: { target: 'gain', rate: 0.7, depth: 0.08 }, gain: { param: 'size', min: 0.15, max: 0.5 } },
+            { source: 'white', filter: { type: 'bandpass', Q: 0.8, frequency: 1500 }, gain: { param: 'size', min: 0.01, max: 0.04 } },
+        ],
+        grains: {
+            rate: { param: 'size', min: 3, max: 15 }, variation: 0.7,
+            layer: { source: 'white', filter: { type: 'highpass', frequency: 2500 }, gain: [[0, 0.12], [0.02, 0.001, 'exp']], stop: 0.025 },
+        },
+    },
+    water: {
+        bus: 'ambience', attack: 1, release: 1.5,
+        params: { flow: 0.5 },
+        layers: [
+            { source: 'pink', filter: [{ type: 'highpass', frequency: 200 }, { type: 'lowpass', frequency: { param: 'flow', min: 1200, max: 3500, curve: 'exp' } }],
+              lfo: { target: 'filter', rate: 0.4, depth: 300 }, gain: { param: 'flow', min: 0.08, max: 0.3 } },
+        ],
+        grains: {
+            rate: { param: 'flow', min: 4, max: 20 }, variation: 0.9,
+            layer: { source: 'sine', frequency: [[0, 500], [0.06, 1400, 'exp']], gain: [[0, 0], [0.01, 0.05, 'linear'], [0.06, 0.001, 'exp']], stop: 0.065 },
+        },
+    },
+    // A burning target or a fire spell's afterburn, louder than the ambient fire.
+    fireBurn: {
+        attack: 0.2, release: 0.4, reverb: true,
+        params: { intensity: 0.5 },
+        layers: [
+            { source: 'pink', filter: { type: 'bandpass', Q: 0.7, frequency: { param: 'intensity', min: 450, max: 800, curve: 'exp' } },
+              lfo: { target: 'gain', rate: 3, depth: 0.08 }, gain: { param: 'intensity', min: 0.25, max: 0.5 } },
+        ],
+        grains: {
+            rate: { param: 'intensity', min: 4, max: 12 }, variation: 0.6,
+            layer: { source: 'white', filter: { type: 'highpass', frequency: 3500 }, gain: [[0, 0.15], [0.03, 0.001, 'exp']], stop: 0.04 },
+        },
+    },
+    engine: {
+        attack: 0.3, release: 0.5,
+        params: { rpm: 0 },
+        layers: [
+            { source: 'sawtooth', frequency: { param: 'rpm', min: 35, max: 160, curve: 'exp' },
+              filter: { type: 'lowpass', Q: 3, frequency: { param: 'rpm', min: 300, max: 2000, curve: 'exp' } }, gain: 0.25 },
+            { source: 'square', frequency: { param: 'rpm', min: 17.5, max: 80, curve: 'exp' }, filter: { type: 'lowpass', frequency: 400 }, gain: 0.2 },
+            { source: 'pink', filter: { type: 'bandpass', Q: 1, frequency: { param: 'rpm', min: 500, max: 3000, curve: 'exp' } }, gain: { param: 'rpm', min: 0.02, max: 0.12 } },
+        ],
+    },
+    chargeUp: {
+        attack: 0.1, release: 0.3, reverb: true,
+        params: { charge: 0 },
+        layers: [
+            { source: 'sawtooth', frequency: { param: 'charge', min: 110, max: 880, curve: 'exp' }, vibrato: { rate: 7, depth: 15 },
+              filter: { type: 'lowpass', Q: 6, frequency: { param: 'charge', min: 400, max: 5000, curve: 'exp' } }, gain: { param: 'charge', min: 0.05, max: 0.15 } },
+            { source: 'sine', frequency: { param: 'charge', min: 220, max: 1760, curve: 'exp' },
+              lfo: { target: 'gain', rate: 12, depth: 0.05 }, gain: { param: 'charge', min: 0.02, max: 0.1 } },
+            { source: 'white', filter: { type: 'highpass', frequency: { param: 'charge', min: 3000, max: 9000, curve: 'exp' } }, gain: { param: 'charge', min: 0, max: 0.06 } },
+        ],
+    },
+};
 
-        this._master = this.ctx.createGain();
-        this._master.gain.value = 0.2;
-        this._master.connect(this._compressor);
+// ── SFX Generator ──────────────────────────────────────────────────────────
+//
+// sfxr-style parameters: a flat, JSON-serializable object turned into a
+// preset by sfxr.toPreset(). Times in seconds, slides and sweeps in octaves
+// over the whole sound.
+//
+//   wave          'square' | 'sawtooth' | 'sine' | 'triangle' | 'noise'
+//   frequency     start pitch (Hz); slide
+//   vibratoDepth  cents; vibratoRate (Hz)
+//   arpeggio      pitch multiplier applied at arpeggioTime
+//   duty          square pulse width
+//   attack, sustain, punch (sustain boost), decay
+//   lowpass, lowpassSweep, resonance, highpass, highpassSweep
+//   noise         0..1 white noise mixed under the tone
+//   volume
 
-        this._reverb = this.ctx.createConvolver();
-        this._reverb.buffer = _createImpulse(this.ctx, 3.0, 2.0);
-        this._reverbGain = this.ctx.createGain();
-        this._reverbGain.gain.value = 0.35;
-        this._reverb.connect(this._reverbGain);
-        this._reverbGain.connect(this._master);
+const SFXR_DEFAULTS = {
+    wave: 'square', frequency: 440, slide: 0,
+    vibratoDepth: 0, vibratoRate: 0, arpeggio: 1, arpeggioTime: 0, duty: 0.5,
+    attack: 0, sustain: 0.1, punch: 0, decay: 0.2,
+    lowpass: 20000, lowpassSweep: 0, resonance: 1, highpass: 0, highpassSweep: 0,
+    noise: 0, volume: 0.5,
+};
 
-        this._sidechainBus = this.ctx.createGain();
-        this._sidechainBus.connect(this._master);
-        this._sidechainBus.connect(this._reverb);
+// [min, max, log] — used to clamp and mutate.
+const SFXR_RANGES = {
+    frequency:    [30, 5000, true],
+    slide:        [-4, 4],
+    vibratoDepth: [0, 200],
+    vibratoRate:  [0, 30],
+    arpeggio:     [0.5, 2],
+    arpeggioTime: [0, 0.5],
+    duty:         [0.05, 0.95],
+    attack:       [0, 0.5],
+    sustain:      [0, 1],
+    punch:        [0, 1],
+    decay:        [0.01, 1.5],
+    lowpass:      [100, 20000, true],
+    lowpassSweep: [-4, 4],
+    resonance:    [0.1, 20],
+    highpass:     [0, 5000],
+    highpassSweep: [-4, 4],
+    noise:        [0, 1],
+};
 
-        this._noiseBuffer = _createNoiseBuffer(this.ctx, 'white');
+function _sfxrRandom(seed) {
+    const random = seed == null ? Math.random : createRandom(seed);
+    return (min, max) => min === undefined ? random() : Math.round((min + random() * (max - min)) * 1000) / 1000;
+}
 
-        this.scales = {
-            mainTheme: [130.81, 146.83, 155.56, 174.61, 196.00, 207.65, 233.08],
-            ambient:   [233.08, 207.65, 174.61, 155.56],
-        };
+function _sfxrSweep(start, octaves, end) {
+    const from = Math.min(20000, Math.max(10, start));
+    return [[0, from], [end, Math.min(20000, Math.max(10, from * Math.pow(2, octaves))), 'exp']];
+}
 
-        this._initWorker();
+function _sfxrToPreset(params) {
+    const p = { ...SFXR_DEFAULTS, ...params };
+    const a = Math.max(p.attack, 0.002), s = a + p.sustain, end = Math.max(s + p.decay, s + 0.01);
+    const pitchAt = time => p.frequency * Math.pow(2, p.slide * time / end);
+
+    const frequency = [[0, p.frequency]];
+    if (p.arpeggio !== 1 && p.arpeggioTime > 0 && p.arpeggioTime < end) {
+        const at = pitchAt(p.arpeggioTime);
+        frequency.push([p.arpeggioTime, at, 'exp'], [p.arpeggioTime, at * p.arpeggio], [end, pitchAt(end) * p.arpeggio, 'exp']);
+    } else {
+        frequency.push([end, pitchAt(end), 'exp']);
     }
+    const gain = level => [[0, 0], [a, level * (1 + p.punch), 'linear'], [s, level, 'linear'], [end, 0.0001, 'exp']];
 
-    start() {
-        if (this.isPlaying) return;
-        this.ctx.resume();
-        this.isPlaying    = true;
-        this.nextNoteTime = this.ctx.currentTime + 0.1;
-        const targetVol   = this.currentTrack === 'mainTheme' ? 0.2 : 0.15;
-        this._master.gain.cancelScheduledValues(this.ctx.currentTime);
-        this._master.gain.setValueAtTime(0, this.ctx.currentTime);
-        this._master.gain.setTargetAtTime(targetVol, this.ctx.currentTime, 0.3);
-        this._worker.postMessage('start');
+    const filter = [];
+    if (p.lowpass < 20000 || p.lowpassSweep) filter.push({ type: 'lowpass', Q: p.resonance, frequency: _sfxrSweep(p.lowpass, p.lowpassSweep, end) });
+    if (p.highpass > 0) filter.push({ type: 'highpass', frequency: _sfxrSweep(p.highpass, p.highpassSweep, end) });
+
+    let tone;
+    if (p.wave === 'noise') {
+        tone = { source: 'white', rate: frequency.map(([time, f, curve]) => [time, f / 1000, curve]) };
+    } else {
+        tone = { source: p.wave, frequency };
+        if (p.wave === 'square' && p.duty !== 0.5) Object.assign(tone, { source: 'pulse', duty: p.duty });
+        if (p.vibratoDepth > 0) tone.vibrato = { rate: p.vibratoRate, depth: p.vibratoDepth };
     }
+    const noise = p.wave === 'noise' ? 0 : p.noise;
+    Object.assign(tone, { filter, gain: gain(p.volume * (1 - noise)), stop: end + 0.05 });
+    const layers = [tone];
+    if (noise > 0) layers.push({ source: 'white', filter, gain: gain(p.volume * noise), stop: end + 0.05 });
+    return { layers };
+}
 
-    stop() {
-        if (!this.isPlaying) return;
-        this.isPlaying = false;
-        this._worker.postMessage('stop');
-        this._master.gain.cancelScheduledValues(this.ctx.currentTime);
-        this._master.gain.setTargetAtTime(0, this.ctx.currentTime, 0.1);
+function _sfxrMutate(params, amount = 0.1, seed) {
+    const random = _sfxrRandom(seed);
+    const out = { ...params };
+    for (const [key, [min, max, log]] of Object.entries(SFXR_RANGES)) {
+        if (out[key] == null || random() < 0.5) continue;
+        const delta = (random() * 2 - 1) * amount;
+        const value = log ? out[key] * Math.pow(max / min, delta) : out[key] + delta * (max - min);
+        out[key] = Math.round(Math.min(max, Math.max(min, value)) * 1000) / 1000;
     }
+    return out;
+}
 
-    switchTrack(trackName) {
-        if (this.currentTrack === trackName) return;
-        const FADE = 0.15;
-        const now  = this.ctx.currentTime;
-        this._master.gain.cancelScheduledValues(now);
-        this._master.gain.setTargetAtTime(0, now, FADE / 3);
-        setTimeout(() => {
-            this.currentTrack = trackName;
-            this.tick         = 0;
-            this.measure      = 0;
-            this.bpm          = trackName === 'mainTheme' ? 135 : 90;
-            this.noteLength   = 60 / this.bpm / 4;
-            this.nextNoteTime = this.ctx.currentTime + 0.05;
-            const targetVol   = trackName === 'mainTheme' ? 0.2 : 0.15;
-            this._master.gain.cancelScheduledValues(this.ctx.currentTime);
-            this._master.gain.setTargetAtTime(targetVol, this.ctx.currentTime, 0.3);
-        }, FADE * 1000);
+export const sfxr = {
+    defaults: SFXR_DEFAULTS,
+    toPreset: _sfxrToPreset,
+    mutate:   _sfxrMutate,
+
+    randomPickup(seed) {
+        const r = _sfxrRandom(seed);
+        const p = { wave: r() < 0.5 ? 'square' : 'sine', frequency: r(700, 1800), sustain: r(0.02, 0.1), punch: r(0.3, 0.6), decay: r(0.1, 0.4), volume: 0.4 };
+        if (r() < 0.5) Object.assign(p, { arpeggio: r(1.25, 1.6), arpeggioTime: r(0.03, 0.12) });
+        return p;
+    },
+
+    randomLaser(seed) {
+        const r = _sfxrRandom(seed);
+        const p = { wave: ['square', 'sawtooth', 'sine'][Math.floor(r() * 3)], frequency: r(500, 2500), slide: -r(1, 3), duty: r(0.2, 0.8),
+                    sustain: r(0.05, 0.2), punch: r(0, 0.3), decay: r(0.05, 0.3), volume: 0.35 };
+        if (r() < 0.5) p.highpass = r(100, 1000);
+        return p;
+    },
+
+    randomHit(seed) {
+        const r = _sfxrRandom(seed);
+        const p = { wave: r() < 0.5 ? 'noise' : r() < 0.5 ? 'square' : 'sawtooth', frequency: r(200, 900), slide: -r(0.5, 2),
+                    sustain: r(0.01, 0.08), punch: r(0.2, 0.6), decay: r(0.1, 0.3), volume: 0.5 };
+        if (r() < 0.3) p.highpass = r(100, 600);
+        return p;
+    },
+
+    randomJump(seed) {
+        const r = _sfxrRandom(seed);
+        const p = { wave: 'square', frequency: r(250, 600), slide: r(0.5, 1.5), duty: r(0.3, 0.7), sustain: r(0.05, 0.15), decay: r(0.1, 0.3), volume: 0.4 };
+        if (r() < 0.5) p.lowpass  = r(2000, 8000);
+        if (r() < 0.5) p.highpass = r(100, 300);
+        return p;
+    },
+
+    randomPowerup(seed) {
+        const r = _sfxrRandom(seed);
+        const p = { wave: r() < 0.5 ? 'square' : 'sawtooth', frequency: r(300, 700), slide: r(1, 2), sustain: r(0.1, 0.4), decay: r(0.1, 0.4), volume: 0.35 };
+        if (r() < 0.5) Object.assign(p, { vibratoDepth: r(20, 80), vibratoRate: r(8, 20) });
+        return p;
+    },
+};
+
+// ── Speech ─────────────────────────────────────────────────────────────────
+//
+// Dialogue "voices" in the style of Animal Crossing or Undertale: text is cut
+// into syllables (consonants + vowel group, a word's last consonants joining
+// its last syllable) and each syllable becomes a pitched blip through two
+// bandpass formants of its vowel, with a noise burst for a leading fricative
+// or plosive. speechPreset() returns an ordinary preset, so play(),
+// renderToBuffer() and exportWav() all take it.
+//
+// A voice profile:
+//
+//   pitch     base pitch in Hz
+//   range     intonation in semitones: random spread per syllable and the
+//             rise before '?' (falls before '.')
+//   speed     characters per second
+//   wave      oscillator type for the voiced part
+//   formant   formant frequency multiplier (> 1 sounds smaller)
+//   Q         formant sharpness
+//   breath    0..1 mix of filtered noise into the voiced part; 1 whispers
+//   gap       0..1 silent share of each syllable, for a choppy delivery
+//   random    0..1 how much pitch, timing and formants vary per syllable
+//   volume
+
+export const VOICE_PROFILES = {
+    default:  {},
+    high:     { pitch: 420, formant: 1.3, speed: 20 },
+    low:      { pitch: 100, formant: 0.8, speed: 12, wave: 'sawtooth', range: 3 },
+    robot:    { pitch: 150, range: 0, random: 0, gap: 0.1, Q: 9 },
+    creature: { pitch: 600, formant: 1.6, range: 9, random: 1, speed: 26, wave: 'triangle' },
+    whisper:  { breath: 1, volume: 1.2, speed: 14 },
+};
+
+const SPEECH_DEFAULTS = { pitch: 220, range: 4, speed: 16, wave: 'square', formant: 1, Q: 5, breath: 0, gap: 0.25, random: 0.5, volume: 1 };
+
+// [F1, F2] in Hz.
+const SPEECH_VOWELS = { a: [800, 1200], e: [450, 1900], i: [300, 2300], o: [480, 850], u: [330, 750], y: [300, 2100] };
+
+// Noise burst center (Hz) for consonants heard as noise.
+const SPEECH_CONSONANTS = { s: 6000, z: 5000, c: 5500, x: 5000, f: 3500, v: 3000, h: 1800, j: 3000, t: 4000, k: 2500, q: 2500, p: 1500, g: 2000, d: 3000, b: 1200 };
+
+// Pauses in characters of speaking time.
+const SPEECH_PAUSES = { ' ': 1, ',': 4, ';': 5, ':': 5, '.': 8, '!': 8, '?': 8, '…': 10, '\n': 8 };
+
+function _speechProfile(profile, profiles = VOICE_PROFILES) {
+    const named = typeof profile === 'string' ? profiles[profile] : profile;
+    if (!named) throw new Error(`Synthaura: unknown voice profile "${profile}"`);
+    return { ...SPEECH_DEFAULTS, ...named };
+}
+
+// Syllables as { chars: [[char, index], ...], vowel, onset }; pauses are
+// { chars, pause, stop } in characters of speaking time.
+function _speechSyllables(text) {
+    const syllables = [];
+    let word = [], index = 0;
+    const endWord = () => {
+        const last = word[word.length - 1];
+        if (last && !last.vowel && word.length > 1) word[word.length - 2].chars.push(...word.pop().chars);
+        syllables.push(...word);
+        word = [];
+    };
+    for (const char of text) {
+        const lower = char.toLowerCase(), at = index;
+        let last = word[word.length - 1];
+        index += char.length;
+        if (SPEECH_PAUSES[char] || /\s/.test(char)) {
+            endWord();
+            syllables.push({ chars: [[char, at]], pause: SPEECH_PAUSES[char] || 1, stop: char });
+        } else if (!/[\p{L}\p{N}]/u.test(char)) {
+            // Quotes, dashes and the like are silent.
+            if (last) last.chars.push([char, at]);
+            else      syllables.push({ chars: [[char, at]], pause: 0 });
+        } else if (!/[a-z]/.test(lower)) {
+            // Other scripts and digits: a syllable per character, its vowel
+            // picked from the code point.
+            endWord();
+            syllables.push({ chars: [[char, at]], vowel: 'aeiou'[char.codePointAt(0) % 5], onset: null });
+        } else if (SPEECH_VOWELS[lower]) {
+            if (!last || (last.vowel && !last.open)) word.push(last = { chars: [], vowel: null, onset: null });
+            last.vowel = last.vowel || lower;
+            last.open  = true;
+            last.chars.push([char, at]);
+        } else {
+            if (!last || last.vowel) word.push(last = { chars: [], vowel: null, onset: lower });
+            last.open = false;
+            last.chars.push([char, at]);
+        }
     }
+    endWord();
+    return syllables;
+}
 
-    destroy() {
-        this.stop();
-        setTimeout(() => {
-            this._worker.terminate();
-            this._compressor.disconnect();
-            this._master.disconnect();
-            this._reverb.disconnect();
-            this._reverbGain.disconnect();
-            this._sidechainBus.disconnect();
-        }, 500);
+// One syllable: the voice through the vowel's two formants, gliding down a
+// little (up before '?'), plus a noise burst for its first consonant.
+function _speechBlip(voice, { vowel, onset }, ending, at, length, vary) {
+    const [f1, f2] = SPEECH_VOWELS[vowel] || [500, 1500];   // no vowel ("hmm"): a neutral schwa
+    const level = 0.6 * voice.volume;
+    const pitch = voice.pitch * Math.pow(2, vary(voice.range) / 12);
+    const bend  = ending === '?' ? Math.pow(2, voice.range / 12) : ending === '.' ? Math.pow(2, -voice.range / 24) : 0.97;
+    const frequency = [[0, pitch], [length, pitch * bend, 'exp']];
+    const gain  = peak => [[0, 0], [0.005, peak, 'linear'], [length, 0.001, 'exp']];
+    const layers = [];
+    [f1, f2].forEach((formant, i) => {
+        const filter = { type: 'bandpass', frequency: formant * voice.formant * (1 + vary(0.08)), Q: voice.Q };
+        const share  = level * (i ? 0.5 : 1);
+        if (voice.breath < 1) layers.push({ source: voice.wave, frequency, filter, gain: gain(share * (1 - voice.breath)), delay: at, stop: length });
+        if (voice.breath > 0) layers.push({ source: 'white', filter, gain: gain(share * voice.breath), delay: at, stop: length });
+    });
+    if (SPEECH_CONSONANTS[onset]) {
+        const filter = { type: 'bandpass', frequency: SPEECH_CONSONANTS[onset] * voice.formant, Q: 2 };
+        layers.push({ source: 'white', filter, gain: [[0, level * 0.4], [0.03, 0.001, 'exp']], delay: at, stop: 0.035 });
     }
+    return layers;
+}
 
-    getFreq(scaleName, index) {
-        const scale = this.scales[scaleName];
-        if (!scale) return 440;
-        const len = scale.length;
-        return scale[((index % len) + len) % len] * Math.pow(2, Math.floor(index / len));
+function _speechPreset(text, voice, random) {
+    const syllables = _speechSyllables(text), layers = [], marks = [];
+    const vary = amount => (random() * 2 - 1) * amount * voice.random;
+    let time = 0;
+    syllables.forEach((syllable, i) => {
+        const next   = syllables[i + 1];
+        const length = (syllable.pause != null ? syllable.pause : syllable.chars.length) / voice.speed * (1 + vary(0.3));
+        syllable.chars.forEach(([char, index], k) => marks.push([char, index, time + length * k / syllable.chars.length]));
+        if (syllable.pause == null) layers.push(..._speechBlip(voice, syllable, next && next.stop, time, length * (1 - voice.gap), vary));
+        time += length;
+    });
+    return { name: 'speech', layers, marks };
+}
+
+// A preset speaking `text` (profile: a name in VOICE_PROFILES or an object),
+// plus marks: [[char, index, time], ...] for when each character is heard.
+export function speechPreset(text, profile = 'default', seed) {
+    return _speechPreset(String(text), _speechProfile(profile), _randomFor(seed));
+}
+
+// ── SynthauraMixer ─────────────────────────────────────────────────────────
+
+const MIXER_BUSES = ['music', 'sfx', 'ui', 'ambience'];
+
+export class SynthauraMixer {
+    constructor(options = {}) {
+        this.ctx        = options.ctx || getSharedAudioContext();
+        this.storageKey = options.storageKey || null;
+        this.rampTime   = options.rampTime == null ? 0.05 : options.rampTime;
+        this.buses      = {};
+        this._timers    = new Map();
+        this._createBus('master', this.ctx.destination);
+        for (const name of [...MIXER_BUSES, ...(options.buses || [])]) {
+            this._createBus(name, this.buses.master.input);
+        }
+        if (options.settings) this.applySettings(options.settings, 0);
+        else                  this.load();
     }
 
-    _initWorker() {
-        const blob = new Blob([`
-            let id = null;
-            self.onmessage = e => {
-                if (e.data === 'start')      { id = setInterval(() => postMessage('tick'), 25); }
-                else if (e.data === 'stop')  { clearInterval(id); id = null; }
-            };
-        `], { type: 'application/javascript' });
-        const url = URL.createObjectURL(blob);
-        this._worker = new Worker(url);
-        URL.revokeObjectURL(url);
-        this._worker.onmessage = () => this._schedule();
+    input(name) { return this._bus(name).input; }
+
+    getVolume(name) { return this._bus(name).volume; }
+    isMuted(name)   { return this._bus(name).muted; }
+
+    setVolume(name, volume, rampTime = this.rampTime) {
+        const bus = this._bus(name);
+        bus.volume = Math.max(0, volume);
+        this._applyGain(bus, rampTime);
+        this.save();
     }
 
-    _schedule() {
-        const lookahead = 0.1;
-        while (this.nextNoteTime < this.ctx.currentTime + lookahead) {
-            const bar = Math.floor(this.measure);
-            if (this.currentTrack === 'mainTheme') this._playMainThemePattern(this.nextNoteTime, this.tick, bar);
-            else                                   this._playAmbientPattern(this.nextNoteTime, this.tick, bar);
-            this.nextNoteTime += this.noteLength;
-            if (++this.tick >= 16) { this.tick = 0; this.measure++; }
-        }
+    mute(name, muted = true, rampTime = this.rampTime) {
+        const bus = this._bus(name);
+        bus.muted = muted;
+        this._applyGain(bus, rampTime);
+        this.save();
     }
 
-    _playAmbientPattern(time, tick, bar) {
-        const root = this.scales.ambient[bar % 4];
-        if (tick === 0 && bar % 2 === 0) {
-            this._playSynth(root * 2,   time, this.noteLength * 32, 'triangle');
-            this._playSynth(root * 1.5, time, this.noteLength * 32, 'sine');
-        }
-        if (tick % 4 === 0) {
-            this._playSynth(root / 2, time, this.noteLength * 3, 'sine');
+    // Inserts an effect chain (see Effects) before the bus fader; an empty
+    // list removes it. Returns the chain, whose set(index, name, value) tweaks it.
+    // The new chain fades in over `crossfade` seconds while the old one stops
+    // being fed and is freed once its delay and reverb tails have rung out.
+    setEffects(name, effects, { crossfade = 0.1 } = {}) {
+        const bus   = this._bus(name), old = bus.link;
+        const chain = effects && effects.length ? new EffectChain(this.ctx, effects) : null;
+        const link  = chain || new EffectChain(this.ctx, []);
+        const now   = this.ctx.currentTime, fade = Math.max(0.01, crossfade);
+        bus.input.connect(link.input);
+        link.output.connect(bus.duck);
+        link.output.gain.setValueAtTime(0, now);
+        link.output.gain.linearRampToValueAtTime(1, now + fade);
+        _rampParam(old.input.gain, 0, now, fade);
+        _later(this._timers, () => {
+            try { bus.input.disconnect(old.input); } catch (_) {}
+            old.disconnect();
+        }, (fade + old.tail + 0.1) * 1000);
+        bus.link    = link;
+        bus.effects = chain;
+        return chain;
+    }
+
+    // Dips a bus (music by default) under a loud sound, then recovers.
+    duck(name = 'music', { amount = 0.5, attack = 0.02, hold = 0.25, release = 0.8 } = {}) {
+        const param = this._bus(name).duck.gain;
+        const now   = this.ctx.currentTime;
+        const level = Math.min(param.value, 1 - Math.min(1, Math.max(0, amount)));
+        param.cancelScheduledValues(now);
+        param.setValueAtTime(param.value, now);
+        param.linearRampToValueAtTime(level, now + attack);
+        param.setValueAtTime(level, now + attack + hold);
+        param.linearRampToValueAtTime(1, now + attack + hold + release);
+    }
+
+    getSettings() {
+        const settings = {};
+        for (const [name, bus] of Object.entries(this.buses)) settings[name] = { volume: bus.volume, muted: bus.muted };
+        return settings;
+    }
+
+    applySettings(settings, rampTime = this.rampTime) {
+        for (const [name, s] of Object.entries(settings || {})) {
+            const bus = this.buses[name];
+            if (!bus) continue;
+            if (typeof s.volume === 'number') bus.volume = Math.max(0, s.volume);
+            if (typeof s.muted === 'boolean') bus.muted = s.muted;
+            this._applyGain(bus, rampTime);
         }
-        if (Math.random() > 0.85) {
-            const freq = root * [1, 1.25, 1.5, 1.75][Math.floor(Math.random() * 4)] * 2;
-            this._playSynth(freq, time, 0.3, 'sine');
+    }
+
+    save() {
+        if (!this.storageKey || typeof localStorage === 'undefined') return;
+        try { localStorage.setItem(this.storageKey, JSON.stringify(this.getSettings())); } catch (_) {}
+    }
+
+    load() {
+        if (!this.storageKey || typeof localStorage === 'undefined') return;
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            if (stored) this.applySettings(JSON.parse(stored), 0);
+        } catch (_) {}
+    }
+
+    destroy() {
+        _clearTimers(this._timers, true);
+        for (const bus of Object.values(this.buses)) {
+            bus.input.disconnect();
+            bus.duck.disconnect();
+            bus.link.disconnect();
         }
     }
 
-    _playMainThemePattern(time, tick, bar) {
-        this._playDrums(time, tick, bar);
-        this._playBass(time, tick, bar);
-        this._playLead(time, tick, bar);
+    _bus(name) {
+        const bus = this.buses[name];
+        if (!bus) throw new Error(`Synthaura: unknown mixer bus "${name}"`);
+        return bus;
     }
 
-    _playDrums(time, tick, bar) {
-        if (bar < SECTIONS.VERSE.start) return;
-        const isBreakdown = bar >= SECTIONS.BREAKDOWN.start && bar < SECTIONS.BREAKDOWN.end;
-        const isBuild     = bar >= SECTIONS.BUILD.start     && bar < SECTIONS.BUILD.end;
-        if (!isBreakdown && tick % 4 === 0)  this._playKick(time);
-        if (isBuild)      { if (tick % 2 === 0)  this._playSnare(time); }
-        else if (!isBreakdown) { if (tick % 8 === 4) this._playSnare(time); }
-        if (!isBreakdown && tick % 2 === 0)  this._playHihat(time, tick % 8 === 2);
+    // input (fader) → link (the effect chain, or an empty one) → duck.
+    _createBus(name, destination) {
+        const input = this.ctx.createGain(), duck = this.ctx.createGain();
+        const link  = new EffectChain(this.ctx, []);
+        input.connect(link.input);
+        link.output.connect(duck);
+        duck.connect(destination);
+        this.buses[name] = { name, input, duck, output: duck, link, effects: null, volume: 1, muted: false };
     }
 
-    _playBass(time, tick, bar) {
-        const rootIdx = [0, 5, 3, 4][bar % 4];
-        let cutoff = 300;
-        if (bar >= SECTIONS.CHORUS.start    && bar < SECTIONS.CHORUS.end)    cutoff = 800;
-        if (bar >= SECTIONS.BREAKDOWN.start && bar < SECTIONS.BREAKDOWN.end) cutoff = 100;
-        if (bar >= SECTIONS.OUTRO.start)                                      cutoff = 1500;
-        if (tick % 4 !== 0) this._playSuperSawBass(this.getFreq('mainTheme', rootIdx), time, this.noteLength, cutoff);
+    _applyGain(bus, rampTime) {
+        const target = bus.muted ? 0 : bus.volume;
+        const param  = bus.input.gain, now = this.ctx.currentTime;
+        param.cancelScheduledValues(now);
+        if (rampTime > 0) param.setTargetAtTime(target, now, rampTime / 3);
+        else              param.setValueAtTime(target, now);
     }
+}
 
-    _playLead(time, tick, bar) {
-        if ((bar >= SECTIONS.CHORUS.start && bar < SECTIONS.CHORUS.end) || bar >= SECTIONS.OUTRO.start) {
-            const melody   = [7, -1, 7, 8, 7, 4, 2, 0, -1, 2, 4, 2, 0, -1, -1, -1];
-            const noteVal  = melody[tick];
-            if (noteVal !== -1) {
-                const freq = this.getFreq('mainTheme', noteVal + (bar >= SECTIONS.OUTRO.start ? 7 : 0));
-                this._playFMLead(freq, time, this.noteLength * 2);
-            }
-            return;
-        }
-        if (bar >= SECTIONS.BREAKDOWN.start && bar < SECTIONS.BREAKDOWN.end && tick % 4 === 0) {
-            const freq = this.getFreq('mainTheme', [0, 2, 4, 7][Math.floor(Math.random() * 4)] + 7);
-            this._playFMLead(freq, time + Math.random() * 0.05, 0.5, 0.1);
-        }
+// ── SynthauraSFX ───────────────────────────────────────────────────────────
+
+const VOICE_PARAMS = ['volume', 'pitch', 'pan', 'position', 'occlusion'];
+let _voiceId = 0;
+
+// Handle returned by SynthauraSFX.play(): one triggered sound and its nodes.
+// Its layers sum into one level gain, spatialized once for the whole voice.
+class SfxVoice {
+    constructor(sfx, name, startTime, endTime, peak, opts) {
+        this.id        = ++_voiceId;
+        this.name      = name;
+        this.startTime = startTime;
+        this.endTime   = endTime;
+        this.peak      = peak;
+        this.stopped   = false;
+        this.ended     = false;
+        this.onended   = null;
+        this._sfx      = sfx;
+        this._layers   = [];
+        this._gain     = 1;
+        this._level    = sfx.ctx.createGain();
+        this._nodes    = [this._level];
+        this._chain    = sfx._spatialize(this._level, opts, this._nodes);
+        this._fx       = null;
     }
 
-    _playKick(time) {
-        const osc = this.ctx.createOscillator(), gain = this.ctx.createGain();
-        osc.frequency.setValueAtTime(150, time);
-        osc.frequency.exponentialRampToValueAtTime(0.01, time + 0.5);
-        gain.gain.setValueAtTime(1.0, time);
-        gain.gain.exponentialRampToValueAtTime(0.01, time + 0.5);
-        osc.connect(gain); gain.connect(this._master);
-        osc.start(time); osc.stop(time + 0.5);
-        this._sidechainBus.gain.cancelScheduledValues(time);
-        this._sidechainBus.gain.setValueAtTime(0.3, time);
-        this._sidechainBus.gain.exponentialRampToValueAtTime(1.0, time + 0.15);
-        this.onBeat(time, 'kick');
-        osc.onended = makeCleanup(osc, gain);
+    get playing() { return !this.stopped && !this.ended; }
+
+    // Rough current loudness, used by the 'quietest' steal policy.
+    level() {
+        const now = this._sfx.ctx.currentTime;
+        if (now <= this.startTime) return this.peak * this._gain;
+        const left = Math.max(0, (this.endTime - now) / (this.endTime - this.startTime));
+        return this.peak * this._gain * left;
     }
 
-    _playSnare(time) {
-        const src = this.ctx.createBufferSource(), filter = this.ctx.createBiquadFilter(), gain = this.ctx.createGain();
-        src.buffer = this._noiseBuffer; filter.type = 'bandpass'; filter.frequency.value = 1500;
-        src.connect(filter); filter.connect(gain); gain.connect(this._sidechainBus);
-        gain.gain.setValueAtTime(0.7, time);
-        gain.gain.exponentialRampToValueAtTime(0.01, time + 0.2);
-        src.start(time); src.stop(time + 0.2);
-        this.onBeat(time, 'snare');
-        src.onended = makeCleanup(src, filter, gain);
+    stop(fade = 0.05) {
+        if (!this.playing) return;
+        this.stopped = true;
+        this._sfx._detachVoice(this);
+        const now = this._sfx.ctx.currentTime, end = now + Math.max(0, fade);
+        _rampParam(this._level.gain, 0, now, fade);
+        for (const layer of this._layers) layer.src.stop(Math.max(now, Math.min(layer.stopAt, end + 0.01)));
     }
 
-    _playHihat(time, open = false) {
-        const src = this.ctx.createBufferSource(), filter = this.ctx.createBiquadFilter(), gain = this.ctx.createGain();
-        src.buffer = this._noiseBuffer; filter.type = 'highpass'; filter.frequency.value = 8000;
-        const dur = open ? 0.3 : 0.05;
-        src.connect(filter); filter.connect(gain); gain.connect(this._sidechainBus);
+    setParam(name, value, rampTime = 0.05) {
+        if (!VOICE_PARAMS.includes(name)) throw new Error(`Synthaura: unknown voice param "${name}"`);
+        if (!this.playing) return this;
+        const now = this._sfx.ctx.currentTime;
+        if (name === 'volume') {
+            this._gain = value;
+            _rampParam(this._level.gain, value, now, rampTime);
+        } else if (name === 'pitch') {
+            for (const layer of this._layers) if (layer.src.detune) _rampParam(layer.src.detune, 1200 * Math.log2(value), now, rampTime);
+        } else {
+            _rampSpatial(this._chain, name, value, now, rampTime);
+        }
+        return this;
+    }
+
+    _track(layer) {
+        this._layers.push(layer);
+    }
+
+    _sourceEnded() {
+        if (this.ended || this._layers.some(layer => !layer.ended)) return;
+        this.ended = true;
+        this._sfx._detachVoice(this);
+        makeCleanup(...this._nodes)();
+        if (this._fx) _later(this._sfx._timers, () => this._fx.disconnect(), this._fx.tail * 1000 + 100);
+        if (this.onended) this.onended(this);
+    }
+}
+
+// Handle returned by SynthauraSFX.startLoop(): a sustained sound that runs
+// until release(). Layer values bound to a loop parameter follow setParam().
+class SfxLoop {
+    constructor(sfx, name, def, opts) {
+        const ctx = sfx.ctx, now = ctx.currentTime;
+        this.id        = ++_voiceId;
+        this.name      = name;
+        this.params    = { ...def.params, ...opts.params };
+        this.released  = false;
+        this.onended   = null;
+        this._sfx      = sfx;
+        this._def      = def;
+        this._random   = opts.seed != null ? createRandom(opts.seed) : sfx._random;
+        this._bindings = [];
+        this._sources  = [];
+        this._nodes    = [];
+        this._timer    = null;
+
+        this._gain = ctx.createGain();
+        this._gain.gain.setValueAtTime(0, now);
+        this._gain.gain.linearRampToValueAtTime(opts.volume == null ? 1 : opts.volume, now + (def.attack || 0.05));
+        this._chain = sfx._spatialize(this._gain, opts, this._nodes);
+        const effects = opts.effects || def.effects;
+        this._fx = effects && effects.length ? new EffectChain(ctx, effects, opts.seed != null ? opts.seed : sfx.seed) : null;
+        if (this._fx) this._chain.output.connect(this._fx.input);
+        sfx._route(this._fx ? this._fx.output : this._chain.output, opts.reverb != null ? opts.reverb : def.reverb, opts.crunch != null ? opts.crunch : def.crunch, opts.bus || def.bus);
+
+        const set = (param, spec, scale = 1, offset = 0) => this._set(param, spec, now, scale, offset);
+        for (const layer of def.layers || []) {
+            const { src, gain, nodes, lfos } = sfx._buildLayer(layer, now, null, set, opts, this._random);
+            gain.connect(this._gain);
+            src.start(now);
+            this._sources.push(src, ...lfos);
+            this._nodes.push(...nodes);
+        }
+
+        this._nextGrain = now;
+        if (!def.grains) return;
+        if (sfx.offline) { this._scheduleGrains(ctx.length / ctx.sampleRate); return; }
+        this._scheduleGrains();
+        this._timer = _env.setInterval(() => this._scheduleGrains(), 50);
+    }
+
+    get playing() { return !this.released; }
+
+    setParam(name, value, rampTime = 0.05) {
+        if (name !== 'volume' && !VOICE_PARAMS.includes(name) && !(name in this.params)) {
+            throw new Error(`Synthaura: unknown loop param "${name}"`);
+        }
+        if (this.released) return this;
+        const now = this._sfx.ctx.currentTime;
+        if (name === 'volume') { _rampParam(this._gain.gain, value, now, rampTime); return this; }
+        if (!(name in this.params)) { _rampSpatial(this._chain, name, value, now, rampTime); return this; }
+        this.params[name] = value;
+        for (const binding of this._bindings) {
+            if (binding.spec.param === name) _rampParam(binding.param, this._bindingValue(binding), now, rampTime);
+        }
+        return this;
+    }
+
+    // Same as release(), so loops stop like one-shot voices.
+    stop(fade) { this.release(fade); }
+
+    release(fade = this._def.release == null ? 0.5 : this._def.release) {
+        if (this.released) return;
+        this.released = true;
+        _env.clearInterval(this._timer);
+        this._sfx._detachLoop(this);
+        const now = this._sfx.ctx.currentTime, end = now + Math.max(0.01, fade);
+        _rampParam(this._gain.gain, 0, now, end - now);
+        for (const src of this._sources) src.stop(end);
+        const cleanup = makeCleanup(this._gain, ...this._nodes);
+        const finish  = () => {
+            cleanup();
+            if (this._fx) _later(this._sfx._timers, () => this._fx.disconnect(), this._fx.tail * 1000 + 100);
+            if (this.onended) this.onended(this);
+        };
+        if (this._sources.length) this._sources[0].onended = finish;
+        else                      finish();
+    }
+
+    // Numbers and envelopes are applied as in one-shots; { param, min, max,
+    // curve } binds the value to a loop parameter (0..1).
+    _set(param, spec, t, scale, offset) {
+        if (spec == null || typeof spec !== 'object' || Array.isArray(spec)) { _applyEnvelope(param, spec, t, scale, offset); return; }
+        const binding = { param, spec, scale, offset };
+        this._bindings.push(binding);
+        param.value = this._bindingValue(binding);
+    }
+
+    _bindingValue({ spec, scale = 1, offset = 0 }) {
+        const v     = Math.min(1, Math.max(0, this.params[spec.param] || 0));
+        const value = spec.curve === 'exp' ? spec.min * Math.pow(spec.max / spec.min, v) : spec.min + (spec.max - spec.min) * v;
+        return (value + offset) * scale;
+    }
+
+    // Grains are short one-shot layers at random (Poisson) intervals, e.g.
+    // rain drops or fire crackles, scheduled slightly ahead of the clock.
+    _scheduleGrains(until = this._sfx.ctx.currentTime + 0.2) {
+        const grains = this._def.grains, random = this._random;
+        const spread = grains.variation == null ? 0.5 : grains.variation;
+        this._nextGrain = Math.max(this._nextGrain, this._sfx.ctx.currentTime);
+        while (this._nextGrain < until) {
+            const rate = typeof grains.rate === 'object' ? this._bindingValue({ spec: grains.rate }) : grains.rate;
+            if (!(rate > 0)) { this._nextGrain = until; return; }
+            const opts = { output: this._gain, pitch: Math.pow(2, (random() * 2 - 1) * spread / 4), volume: 1 - random() * spread * 0.5 };
+            this._sfx._playLayer(grains.layer, this._nextGrain, opts, random);
+            this._nextGrain += -Math.log(1 - random()) / rate;
+        }
+    }
+}
+
+export class SynthauraSFX {
+    constructor(options = {}) {
+        this.ctx           = options.ctx || (options.mixer && options.mixer.ctx) || getSharedAudioContext();
+        this.offline       = typeof this.ctx.startRendering === 'function';
+        this.seed          = options.seed;
+        this.mixer         = options.mixer || null;
+        this.bus           = options.bus || 'sfx';
+        this.enabled       = true;
+        this.reverbEnabled = options.reverb !== false;
+        this.crunchEnabled = options.crunch !== false;
+        this.maxVoices      = options.maxVoices      || 32;
+        this.voicesPerSound = options.voicesPerSound || 8;
+        this.stealPolicy    = options.stealPolicy    || 'oldest';
+        this._voices        = [];
+
+        this._compressor = this.ctx.createDynamicsCompressor();
+        _configureCompressor(this._compressor, { threshold: -20, knee: 40, ratio: 12, attack: 0.005, release: 0.25, ...options.compressor });
+        this._compressor.connect(this.mixer ? this.mixer.input(this.bus) : this.ctx.destination);
+
+        this._reverb = new ReverbSend(this.ctx, this._compressor, options.environment || 'room', this.seed);
+
+        this._crunch     = { amount: 100, level: 0.15 };
+        this._crunchNode = this.ctx.createWaveShaper();
+        this._crunchNode.curve = this._distortionCurve(this._crunch.amount);
+        this._crunchGain = this.ctx.createGain();
+        this._crunchGain.gain.value = this._crunch.level;
+        this._crunchNode.connect(this._crunchGain);
+        this._crunchGain.connect(this._compressor);
+
+        this._whiteNoise = _sharedNoise(this.ctx, 'white', this.seed);
+        this._pinkNoise  = _sharedNoise(this.ctx, 'pink',  this.seed);
+        this._random     = _randomFor(this.seed);
+        this._lastPlayTimes = {};
+        this._loops         = [];
+        this._timers        = new Map();
+        this.destroyed      = false;
+        this.presets = { ...SFX_PRESETS, ...options.presets };
+        this.loops   = { ...SFX_LOOPS,   ...options.loops };
+        this.voiceProfiles = { ...VOICE_PROFILES, ...options.voiceProfiles };
+        this.spatial = { ...SPATIAL_DEFAULTS, ...options.spatial };
+    }
+
+    resume()  { if (!this.offline && !this.destroyed && this.ctx.state === 'suspended') this.ctx.resume(); }
+
+    setSeed(seed) { this._random = _randomFor(seed); }
+
+    setListener(position, orientation) {
+        if (this.destroyed) return;
+        const listener = this.ctx.listener;
+        if (position) _setPosition(listener, position);
+        if (!orientation) return;
+        const { forward = { x: 0, y: 0, z: -1 }, up = { x: 0, y: 1, z: 0 } } = orientation;
+        if (listener.forwardX) {
+            _setVector(listener, 'forward', forward);
+            _setVector(listener, 'up', up);
+        } else {
+            listener.setOrientation(forward.x || 0, forward.y || 0, forward.z || 0, up.x || 0, up.y || 0, up.z || 0);
+        }
+    }
+
+    setSpatial(config) { if (!this.destroyed) Object.assign(this.spatial, config); }
+
+    // environment: 'room' | 'smallRoom' | 'hall' | 'cave' | 'outdoors' or
+    // { duration, decay, wet, tone }.
+    setReverb(environment, { crossfade = 1 } = {}) { if (!this.destroyed) this._reverb.set(environment, crossfade); }
+
+    setCompressor(settings) { if (!this.destroyed) _configureCompressor(this._compressor, settings); }
+
+    setCrunch({ amount, level } = {}) {
+        if (this.destroyed) return;
+        if (amount != null) this._crunchNode.curve      = this._distortionCurve(this._crunch.amount = amount);
+        if (level  != null) this._crunchGain.gain.value = this._crunch.level = level;
+    }
+
+    // Fades out every voice and loop, then frees the nodes. Resolves once
+    // torn down; afterwards every method is a no-op.
+    destroy() {
+        if (this._destroyed) return this._destroyed;
+        this.destroyed = true;
+        if (this._lifecycle) this._lifecycle.detach(this);
+        const voices = [...this._voices];
+        for (const voice of voices) voice.stop(0.02);
+        for (const loop of [...this._loops]) loop.release(0.02);
+        const teardown = () => {
+            _clearTimers(this._timers, true);
+            for (const voice of voices) if (voice._fx) voice._fx.disconnect();
+            this._compressor.disconnect();
+            this._reverb.disconnect();
+            this._crunchNode.disconnect();
+            this._crunchGain.disconnect();
+        };
+        this._destroyed = this.offline ? Promise.resolve().then(teardown) : new Promise(resolve => _env.setTimeout(resolve, 100)).then(teardown);
+        return this._destroyed;
+    }
+
+    registerPreset(name, preset) {
+        this.presets[name] = preset;
+    }
+
+    registerLoop(name, loop) {
+        this.loops[name] = loop;
+    }
+
+    registerVoiceProfile(name, profile) {
+        this.voiceProfiles[name] = profile;
+    }
+
+    play(presetOrName, overrides = {}) {
+        const named  = typeof presetOrName === 'string';
+        const preset = named ? this.presets[presetOrName] : presetOrName;
+        if (!preset) throw new Error(`Synthaura: unknown SFX preset "${presetOrName}"`);
+        if (!this.enabled || this.destroyed) return null;
+        if (this._lifecycle && this._lifecycle._hold(this, presetOrName, overrides)) return null;
+        const p  = { ...preset, ...overrides };
+        const id = named ? presetOrName : p.name;
+        if (p.cooldown && id && !this._canPlay(id, p.cooldown)) return null;
+        if (!this._allocateVoice(id, p)) return null;
+        this.resume();
+        const now    = this.ctx.currentTime;
+        const t      = now + (p.delay || 0);
+        const random = p.seed != null ? createRandom(p.seed) : this._random;
+        if (p.intensity != null || p.variation) {
+            const intensity = Math.min(1, Math.max(0, p.intensity == null ? 1 : p.intensity));
+            const spread    = p.variation || 0;
+            const vary      = () => spread ? random() * 2 - 1 : 0;
+            p.pitch      = (p.pitch      == null ? 1 : p.pitch) * Math.pow(2, vary() * spread / 4);
+            p.volume     = (p.volume     == null ? 1 : p.volume) * (0.25 + 0.75 * intensity) * (1 - Math.abs(vary()) * spread * 0.3);
+            p.brightness = (p.brightness == null ? 1 : p.brightness) * (0.5 + 0.5 * intensity) * (1 + vary() * spread * 0.3);
+        }
+        const volume = p.volume == null ? 1 : p.volume;
+        const peak   = volume * Math.max(0, ...p.layers.map(layer => _envelopePeak(layer.gain)));
+        const voice  = new SfxVoice(this, id, t, now + _presetDuration(p), peak, p);
+        this._voices.push(voice);
+        const reverb = p.reverb != null ? p.reverb : p.layers.some(l => l.reverb);
+        const crunch = p.crunch != null ? p.crunch : p.layers.some(l => l.crunch);
+        if (p.effects && p.effects.length) {
+            voice._fx = new EffectChain(this.ctx, p.effects, p.seed != null ? p.seed : this.seed);
+            voice._chain.output.connect(voice._fx.input);
+            this._route(voice._fx.output, reverb, crunch, p.bus);
+        } else if (p.output) {
+            voice._chain.output.connect(p.output);
+        } else {
+            this._route(voice._chain.output, reverb, crunch, p.bus);
+        }
+        for (const layer of p.layers) this._playLayer(layer, t, p, random, voice);
+        if (!p.layers.length) voice._sourceEnded();
+        if (p.duck && this.mixer) {
+            const duck = typeof p.duck === 'number' ? { amount: p.duck } : p.duck;
+            this.mixer.duck(duck.bus || 'music', duck);
+        }
+        return voice;
+    }
+
+    // options: params (initial loop params), volume, seed, bus, reverb/crunch,
+    // effects and the spatial options of play().
+    startLoop(loopOrName, options = {}) {
+        const named = typeof loopOrName === 'string';
+        const loop  = named ? this.loops[loopOrName] : loopOrName;
+        if (!loop) throw new Error(`Synthaura: unknown SFX loop "${loopOrName}"`);
+        if (!this.enabled || this.destroyed) return null;
+        this.resume();
+        const handle = new SfxLoop(this, named ? loopOrName : loop.name, loop, options);
+        this._loops.push(handle);
+        return handle;
+    }
+
+    stopAll(fade = 0.05) {
+        if (this.destroyed) return;
+        for (const voice of [...this._voices]) voice.stop(fade);
+        for (const loop of [...this._loops]) loop.release(fade);
+    }
+
+    renderToBuffer(presetOrName, overrides = {}, options = {}) {
+        const preset = typeof presetOrName === 'string' ? this.presets[presetOrName] : presetOrName;
+        if (!preset) return Promise.reject(new Error(`Synthaura: unknown SFX preset "${presetOrName}"`));
+        const sampleRate = options.sampleRate || this.ctx.sampleRate;
+        const tail       = options.tail == null ? 1.5 : options.tail;
+        const duration   = _presetDuration({ ...preset, ...overrides }) + tail;
+        const ctx        = _createOfflineContext(options.channels || 2, Math.ceil(duration * sampleRate), sampleRate);
+        const seed       = options.seed != null ? options.seed : overrides.seed != null ? overrides.seed : this.seed;
+        const renderer   = new SynthauraSFX({
+            ctx, seed, reverb: this.reverbEnabled, crunch: this.crunchEnabled, presets: this.presets,
+            environment: this._reverb.environment, compressor: _compressorSettings(this._compressor),
+        });
+        renderer.setCrunch(this._crunch);
+        renderer.play(presetOrName, overrides);
+        return _startRendering(ctx).then(buffer => { renderer.destroy(); return buffer; });
+    }
+
+    exportWav(presetOrName, overrides = {}, options = {}) {
+        return this.renderToBuffer(presetOrName, overrides, options).then(buffer => _wavOutput(buffer, options));
+    }
+
+    playSwordSlashLight(options)  { return this.play('swordSlashLight',  options); }
+    playSwordSlashMedium(options) { return this.play('swordSlashMedium', options); }
+    playSwordSlashHeavy(options)  { return this.play('swordSlashHeavy',  options); }
+    playGunshot(options)          { return this.play('gunshot',          options); }
+    playMagicIceCast(options)     { return this.play('magicIceCast',     options); }
+    playHitCrunchy(options)       { return this.play('hitCrunchy',       options); }
+    playExplosion(options)        { return this.play('explosion',        options); }
+    playPickup(options)           { return this.play('pickup',           options); }
+    playUIClick(options)          { return this.play('uiClick',          options); }
+    playFireCast(options)         { return this.play('fireCast',         options); }
+    playLightningZap(options)     { return this.play('lightningZap',     options); }
+    playLightningChain(options)   { return this.play('lightningChain',   options); }
+    playHeal(options)             { return this.play('heal',             options); }
+    playShieldHit(options)        { return this.play('shieldHit',        options); }
+    playBowShot(options)          { return this.play('bowShot',          options); }
+    playReload(options)           { return this.play('reload',           options); }
+    playUIHover(options)          { return this.play('uiHover',          options); }
+    playUIConfirm(options)        { return this.play('uiConfirm',        options); }
+    playUICancel(options)         { return this.play('uiCancel',         options); }
+    playUIError(options)          { return this.play('uiError',          options); }
+
+    startRain(options)     { return this.startLoop('rain',     options); }
+    startWind(options)     { return this.startLoop('wind',     options); }
+    startFire(options)     { return this.startLoop('fire',     options); }
+    startWater(options)    { return this.startLoop('water',    options); }
+    startEngine(options)   { return this.startLoop('engine',   options); }
+    startChargeUp(options) { return this.startLoop('chargeUp', options); }
+
+    // A sustained burn: returns the loop handle, stop() or release() it.
+    playFireBurn(options)  { return this.startLoop('fireBurn', options); }
+
+    // surface: 'grass' | 'stone' | 'wood' | 'gravel' | 'metal', or any
+    // registered 'footstep<Surface>' preset.
+    playFootstep(surface = 'stone', options) {
+        const name = `footstep${surface.charAt(0).toUpperCase()}${surface.slice(1)}`;
+        if (!this.presets[name]) throw new Error(`Synthaura: unknown footstep surface "${surface}"`);
+        return this.play(name, options);
+    }
+
+    // Plays sfxr-style parameters (see sfxr); pass the same object to replay it.
+    playParams(params, overrides) { return this.play(_sfxrToPreset(params), overrides); }
+
+    // Speaks `text` in a voice profile (a name in sfx.voiceProfiles or an
+    // object, see Speech). options: onChar(char, index) as each character is
+    // heard, to keep a typewriter in sync, plus the play() overrides. The
+    // callbacks keep time even while sound is disabled or held by a lifecycle.
+    speak(text, profile = 'default', options = {}) {
+        if (this.destroyed) return null;
+        const { onChar, ...overrides } = options;
+        const random = overrides.seed != null ? createRandom(overrides.seed) : this._random;
+        const preset = _speechPreset(String(text), _speechProfile(profile, this.voiceProfiles), random);
+        const voice  = this.play(preset, overrides);
+        if (!onChar) return voice;
+        const now   = this.ctx.currentTime;
+        const start = (voice ? voice.startTime : now + (overrides.delay || 0)) + _outputLatency(this.ctx);
+        for (const [char, index, time] of preset.marks) {
+            _later(this._timers, () => {
+                if (!this.destroyed && !(voice && voice.stopped)) onChar(char, index);
+            }, Math.max(0, (start + time - now) * 1000));
+        }
+        return voice;
+    }
+
+    _route(gainNode, useReverb, useCrunch, bus) {
+        if (bus && this.mixer && bus !== this.bus) gainNode.connect(this.mixer.input(bus));
+        else                                       gainNode.connect(this._compressor);
+        if (useReverb && this.reverbEnabled) gainNode.connect(this._reverb.input);
+        if (useCrunch && this.crunchEnabled) gainNode.connect(this._crunchNode);
+    }
+
+    _spatialize(input, opts, nodes) {
+        const chain = { output: input, lowpass: null, panner: null };
+        if (opts.occlusion != null) {
+            chain.lowpass = this.ctx.createBiquadFilter();
+            chain.lowpass.type = 'lowpass';
+            chain.lowpass.frequency.value = _occlusionCutoff(opts.occlusion);
+        }
+        if (opts.position) {
+            chain.panner = this.ctx.createPanner();
+            Object.assign(chain.panner, this.spatial, opts.spatial);
+            _setPosition(chain.panner, opts.position);
+        } else if (opts.pan != null && this.ctx.createStereoPanner) {
+            chain.panner = this.ctx.createStereoPanner();
+            chain.panner.pan.value = Math.min(1, Math.max(-1, opts.pan));
+        }
+        for (const node of [chain.lowpass, chain.panner]) {
+            if (!node) continue;
+            chain.output.connect(node); chain.output = node; nodes.push(node);
+        }
+        return chain;
+    }
+
+    _canPlay(id, cooldownMs) {
+        const now = this.ctx.currentTime * 1000, last = this._lastPlayTimes[id];
+        if (last != null && now - last < cooldownMs) return false;
+        this._lastPlayTimes[id] = now;
+        return true;
+    }
+
+    _allocateVoice(name, p) {
+        const policy = p.steal || this.stealPolicy;
+        if (name) {
+            const same = this._voices.filter(voice => voice.name === name);
+            if (same.length >= (p.maxVoices || this.voicesPerSound) && !this._stealVoice(same, policy)) return false;
+        }
+        return this._voices.length < this.maxVoices || this._stealVoice(this._voices, policy);
+    }
+
+    _stealVoice(candidates, policy) {
+        if (policy === 'reject' || !candidates.length) return false;
+        let victim = candidates[0];
+        if (policy === 'quietest') {
+            for (const voice of candidates) if (voice.level() < victim.level()) victim = voice;
+        }
+        victim.stop(0.02);
+        return true;
+    }
+
+    _detachLoop(loop) {
+        const i = this._loops.indexOf(loop);
+        if (i !== -1) this._loops.splice(i, 1);
+    }
+
+    _detachVoice(voice) {
+        const i = this._voices.indexOf(voice);
+        if (i !== -1) this._voices.splice(i, 1);
+    }
+
+    _pulseWave(duty) {
+        const key = Math.round(duty * 100);
+        return _shared(this.ctx, `pulse:${key}`, () => {
+            const real = new Float32Array(64), imag = new Float32Array(64);
+            for (let n = 1; n < 64; n++) real[n] = 2 / (n * Math.PI) * Math.sin(n * Math.PI * key / 100);
+            return this.ctx.createPeriodicWave(real, imag);
+        });
+    }
+
+    _distortionCurve(amount) {
+        return _shared(this.ctx, `distortion:${amount}`, () => _makeDistortionCurve(amount));
+    }
+
+    // Source → filters → gain for one layer. `set` applies a layer value
+    // (number, envelope, or a loop binding) to an AudioParam; a null stopAt
+    // builds a looping layer. LFOs are started here, the source is not.
+    _buildLayer(layer, t, stopAt, set, opts = {}, random = this._random) {
+        const ctx   = this.ctx;
+        const pitch = opts.pitch == null ? 1 : opts.pitch;
+        const lfos  = [], nodes = [];
+        let src;
+        if (layer.source === 'white' || layer.source === 'pink') {
+            src = ctx.createBufferSource();
+            src.buffer = layer.source === 'pink' ? this._pinkNoise : this._whiteNoise;
+            if (stopAt == null) src.loop = true;
+            set(src.playbackRate, layer.rate, pitch);
+        } else {
+            src = ctx.createOscillator();
+            if (layer.source === 'pulse' && ctx.createPeriodicWave) src.setPeriodicWave(this._pulseWave(layer.duty == null ? 0.5 : layer.duty));
+            else src.type = layer.source === 'pulse' ? 'square' : layer.source || 'sine';
+            const jitter = layer.jitter ? (random() - 0.5) * layer.jitter : 0;
+            set(src.frequency, layer.frequency, pitch, jitter);
+            if (layer.vibrato) lfos.push(_createLfo(ctx, layer.vibrato, src.detune, t, stopAt));
+        }
+        let last = src, filter = null;
+        for (const spec of [].concat(layer.filter || [])) {
+            filter = ctx.createBiquadFilter();
+            filter.type = spec.type || 'lowpass';
+            if (spec.Q != null) filter.Q.value = spec.Q;
+            set(filter.frequency, spec.frequency, pitch * (opts.brightness == null ? 1 : opts.brightness));
+            last.connect(filter); last = filter; nodes.push(filter);
+        }
+        const gain = ctx.createGain();
+        set(gain.gain, layer.gain, opts.volume == null ? 1 : opts.volume);
+        last.connect(gain); nodes.push(gain);
+        if (layer.lfo) {
+            const target = layer.lfo.target === 'filter' ? filter && filter.frequency : gain.gain;
+            if (target) lfos.push(_createLfo(ctx, layer.lfo, target, t, stopAt));
+        }
+        for (const [osc, amount] of lfos) nodes.push(osc, amount);
+        return { src, gain, nodes: [src, ...nodes], lfos: lfos.map(([osc]) => osc) };
+    }
+
+    _playLayer(layer, time, opts = {}, random = this._random, voice = null) {
+        const t      = time + (layer.delay || 0);
+        const stopAt = t + _layerEnd(layer);
+        const set    = (param, env, scale, offset) => _applyEnvelope(param, env, t, scale, offset);
+        const { src, gain, nodes } = this._buildLayer(layer, t, stopAt, set, opts, random);
+        gain.connect(voice ? voice._level : opts.output);
+        src.start(t + (layer.start || 0)); src.stop(stopAt);
+        const cleanup = makeCleanup(...nodes);
+        if (!voice) { src.onended = cleanup; return; }
+        const tracked = { src, stopAt, ended: false };
+        voice._track(tracked);
+        src.onended = () => { cleanup(); tracked.ended = true; voice._sourceEnded(); };
+    }
+}
+
+// ── BGM Instruments ────────────────────────────────────────────────────────
+//
+// An instrument is plain JSON:
+//
+//   oscillators  [{ wave, ratio, detune, gain, unison, spread, fm }, ...]
+//     wave       'sine' | 'square' | 'sawtooth' | 'triangle', a wavetable
+//                { real, imag } or { harmonics: [amplitude per partial] }
+//     ratio      frequency multiplier (default 1); detune in cents
+//     unison     copies of this oscillator spread across `spread` cents
+//     fm         { ratio, depth, wave }: a modulator at freq * ratio swinging
+//                the frequency by `depth` Hz
+//   gain         peak level
+//   velocity     0..1, how much note velocity scales the level (default 1)
+//   amp          { attack, decay, sustain, release } in seconds, sustain 0..1;
+//                decay 'note' spreads the decay over the note's length
+//   filter       { type, frequency, Q, envelope: { peak, attack, decay,
+//                sustain, release } }, the envelope sweeping up to peak Hz
+//   lfos         [{ target: 'pitch' | 'filter' | 'amp', rate, depth, wave }]
+//                depth in cents, Hz or gain
+//   portamento   seconds to glide from the part's previous note
+//   echo         { time, level } one delayed repeat
+//   output       'side' (ducked by the kick, default) | 'wet' (reverb) | 'dry'
+//   beat         onBeat type fired per note, e.g. 'bass'
+//
+// A part's params override the instrument: { volume } sets gain, { wave }
+// every oscillator, { cutoff } the filter envelope's peak (or its frequency),
+// and any other instrument field replaces that field.
+
+export const BGM_INSTRUMENTS = {
+    superSawBass: {
+        oscillators: [{ wave: 'sawtooth' }, { wave: 'sawtooth', ratio: 1.01 }],
+        gain: 0.3,
+        amp: { attack: 0, decay: 0, sustain: 1, release: 0.05 },
+        filter: { type: 'lowpass', frequency: 100, Q: 3, envelope: { peak: 300, attack: 0, decay: 0.3, sustain: 0, release: 0.05 } },
+        beat: 'bass',
+    },
+    fmLead: {
+        oscillators: [{ wave: 'sine', fm: { ratio: 2, depth: 500 } }],
+        gain: 0.15,
+        amp: { attack: 0.05, decay: 0, sustain: 1, release: 0.1 },
+        echo: { time: 0.25, level: 0.4 },
+        beat: 'lead',
+    },
+    synth: {
+        oscillators: [{ wave: 'triangle' }],
+        gain: 0.1,
+        amp: { attack: 0.1, decay: 'note', sustain: 0, release: 0.05 },
+        output: 'wet',
+    },
+};
+
+const BGM_DRUMS = ['kick', 'snare', 'hihat'];
+
+function _instrumentWith(def, params) {
+    const { volume, wave, cutoff, ...fields } = params;
+    const inst = { ...def, ...fields };
+    if (volume != null) inst.gain = volume;
+    if (wave) inst.oscillators = inst.oscillators.map(osc => ({ ...osc, wave }));
+    if (cutoff != null && inst.filter) {
+        inst.filter = inst.filter.envelope
+            ? { ...inst.filter, envelope: { ...inst.filter.envelope, peak: cutoff } }
+            : { ...inst.filter, frequency: cutoff };
+    }
+    return inst;
+}
+
+function _checkInstrument(name, def) {
+    if (!def || !Array.isArray(def.oscillators) || !def.oscillators.length) {
+        throw new Error(`Synthaura: instrument "${name}" needs an oscillators array`);
+    }
+}
+
+// Sets an oscillator's waveform: a type name or a cached PeriodicWave.
+function _setWave(ctx, osc, wave = 'sine') {
+    if (typeof wave === 'string') { osc.type = wave; return; }
+    osc.setPeriodicWave(_shared(ctx, wave, () => {
+        const imag = Float32Array.from(wave.imag || [0, ...(wave.harmonics || [1])]);
+        const real = wave.real ? Float32Array.from(wave.real) : new Float32Array(imag.length);
+        return ctx.createPeriodicWave(real, imag);
+    }));
+}
+
+// Schedules an ADSR on `param`, rising from `base` to `peak` and settling at
+// the sustain level until the note is released at `off`. A note shorter than
+// attack + decay is released from wherever the envelope got to.
+function _scheduleEnvelope(param, env, base, peak, time, off, exponential = false) {
+    const ramp    = exponential ? 'exponentialRampToValueAtTime' : 'linearRampToValueAtTime';
+    const level   = value => (exponential ? Math.max(value, 0.0001) : value);
+    const between = (from, to, k) => (exponential ? level(from) * Math.pow(level(to) / level(from), k) : from + (to - from) * k);
+    const attack  = env.attack || 0;
+    const decay   = env.decay === 'note' ? Math.max(0, off - time - attack) : env.decay || 0;
+    const sustain = base + (peak - base) * (env.sustain == null ? 1 : env.sustain);
+    const at = t => {
+        if (t < time + attack) return between(base, peak, (t - time) / attack);
+        if (t < time + attack + decay) return between(peak, sustain, (t - time - attack) / decay);
+        return sustain;
+    };
+    param.setValueAtTime(level(attack ? base : peak), time);
+    if (attack) param[ramp](level(at(Math.min(off, time + attack))), Math.min(off, time + attack));
+    if (decay && off > time + attack) param[ramp](level(at(Math.min(off, time + attack + decay))), Math.min(off, time + attack + decay));
+    param.setValueAtTime(level(at(off)), off);
+    param[ramp](level(base), off + Math.max(env.release || 0, 0.005));
+}
+
+// ── BGM Tracks ─────────────────────────────────────────────────────────────
+//
+// A track is plain JSON:
+//
+//   bpm, volume  tempo and master level
+//   scale        name in bgm.scales, an array of frequencies (Hz), or
+//                { key, mode, octave } (see MODES and createScale())
+//   timeSignature [beats, unit], e.g. [3, 4] or [7, 8] (default [4, 4])
+//   stepsPerBar  sixteenth-note steps per bar, overrides timeSignature
+//   stepsPerBeat steps per beat (default 16 / unit; use 6 for a 6/8 lilt)
+//   swing        0..1, delays every off-beat sixteenth up to a triplet feel
+//   tempos       [[step, bpm], ...] tempo changes, applied on step boundaries
+//   progression  chord root per bar as a scale degree, cycled by bar number
+//   sections     [{ name, bars }, ...]; a last section without bars runs
+//                forever, otherwise the song loops from the `loop` section
+//   parts        instrument parts, played in order on every step
+//   instruments  { name: instrument } definitions for this track's parts
+//
+// part:
+//   instrument   'kick' | 'snare' | 'hihat' or a name in BGM_INSTRUMENTS,
+//                bgm.instruments or the track's instruments
+//   events       [[step, midiNote, lengthSteps, velocity 0..1], ...] sorted by
+//                absolute song step; a sequenced part ignores pattern/notes
+//   accent       open hihat for sequenced parts
+//   pattern      one char per step, cycled: 'x' hit, 'o' accent, else rest
+//   notes        scale degree per step, cycled; null rests
+//   choose       pick a random degree from this list on every hit
+//   chance       probability (0..1) that a hit sounds
+//   chord        add the bar's progression degree (default true)
+//   transpose    degrees added to every note
+//   ratio        frequency multiplier; an array picks one at random
+//   every        only play on every Nth bar
+//   length       note length in steps (default 1); duration overrides in seconds
+//   humanize     random start offset in seconds
+//   params       instrument overrides: { cutoff, volume, wave, ... }
+//   sections     only play in these sections
+//   minIntensity, maxIntensity  only play while bgm.intensity is in range
+//   variations   { SECTION: { ...part overrides } }
+
+const DRUM_SECTIONS = ['VERSE', 'CHORUS', 'BUILD', 'OUTRO'];
+
+export const BGM_TRACKS = {
+    ambient: {
+        bpm: 90, volume: 0.15, scale: 'ambient',
+        progression: [0, 1, 2, 3],
+        parts: [
+            { instrument: 'synth', pattern: 'x...............', every: 2, ratio: 2,   length: 32, params: { wave: 'triangle' } },
+            { instrument: 'synth', pattern: 'x...............', every: 2, ratio: 1.5, length: 32, params: { wave: 'sine' } },
+            { instrument: 'synth', pattern: 'x...', ratio: 0.5, length: 3, params: { wave: 'sine' } },
+            { instrument: 'synth', chance: 0.15, ratio: [2, 2.5, 3, 3.5], duration: 0.3, params: { wave: 'sine' } },
+        ],
+    },
+    mainTheme: {
+        bpm: 135, volume: 0.2, scale: 'mainTheme',
+        progression: [0, 5, 3, 4],
+        sections: [
+            { name: 'INTRO',     bars: 8  },
+            { name: 'VERSE',     bars: 8  },
+            { name: 'CHORUS',    bars: 16 },
+            { name: 'BREAKDOWN', bars: 8  },
+            { name: 'BUILD',     bars: 8  },
+            { name: 'OUTRO' },
+        ],
+        parts: [
+            { instrument: 'kick',  pattern: 'x...', sections: DRUM_SECTIONS, minIntensity: 0.3 },
+            { instrument: 'snare', pattern: '....x...', sections: DRUM_SECTIONS, minIntensity: 0.3, variations: { BUILD: { pattern: 'x.' } } },
+            { instrument: 'hihat', pattern: 'x.o.x.x.', sections: DRUM_SECTIONS, minIntensity: 0.3 },
+            {
+                instrument: 'superSawBass', pattern: '.xxx', params: { cutoff: 300 },
+                variations: {
+                    CHORUS:    { params: { cutoff: 800  } },
+                    BREAKDOWN: { params: { cutoff: 100  } },
+                    OUTRO:     { params: { cutoff: 1500 } },
+                },
+            },
+            {
+                instrument: 'fmLead', chord: false, length: 2, sections: ['CHORUS', 'BREAKDOWN', 'OUTRO'], minIntensity: 0.7,
+                notes: [7, null, 7, 8, 7, 4, 2, 0, null, 2, 4, 2, 0, null, null, null],
+                variations: {
+                    BREAKDOWN: { notes: null, pattern: 'x...', choose: [7, 9, 11, 14], humanize: 0.05, duration: 0.5, params: { volume: 0.1 } },
+                    OUTRO:     { transpose: 7 },
+                },
+            },
+        ],
+    },
+    stinger: {
+        bpm: 135, volume: 0.2, scale: 'mainTheme',
+        parts: [
+            { instrument: 'kick', pattern: 'x...............' },
+            { instrument: 'fmLead', chord: false, length: 2, notes: [7, 9, 11, 14, 16, 18, 21, null, null, null, null, null, null, null, null, null] },
+        ],
+    },
+};
+
+function _meter(track) {
+    const [beats = 4, unit = 4] = track.timeSignature || [];
+    return {
+        stepsPerBar:  track.stepsPerBar  || Math.round(beats * 16 / unit),
+        stepsPerBeat: track.stepsPerBeat || Math.max(1, 16 / unit),
+    };
+}
+
+function _trackDuration(track, bars, fromBar = 0) {
+    const { stepsPerBar } = _meter(track), tempos = track.tempos || [];
+    let time = 0, bpm = track.bpm, next = 0;
+    for (let step = fromBar * stepsPerBar; step < (fromBar + bars) * stepsPerBar; step++) {
+        while (next < tempos.length && tempos[next][0] <= step) bpm = tempos[next++][1];
+        time += 60 / bpm / 4;
+    }
+    return time;
+}
+
+function _firstEventAt(events, step) {
+    let lo = 0, hi = events.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (events[mid][0] < step) lo = mid + 1;
+        else                       hi = mid;
+    }
+    return lo;
+}
+
+function _midiToFreq(note) {
+    return 440 * Math.pow(2, (note - 69) / 12);
+}
+
+function _buildSections(track) {
+    const sections = [];
+    let start = 0;
+    for (const { name, bars } of track.sections || []) {
+        const end = bars == null ? Infinity : start + bars;
+        sections.push({ name, start, end });
+        start = end;
+    }
+    return sections;
+}
+
+function _disconnectDeck(deck) {
+    deck.gain.disconnect();
+    deck.side.disconnect();
+    deck.wet.disconnect();
+}
+
+function _resolvePart(part, section) {
+    const variation = section && part.variations && part.variations[section.name];
+    if (!variation) return part;
+    return { ...part, ...variation, params: { ...part.params, ...variation.params } };
+}
+
+// ── MIDI Import ────────────────────────────────────────────────────────────
+
+const MIDI_DRUMS = {
+    35: 'kick',  36: 'kick',
+    37: 'snare', 38: 'snare', 39: 'snare', 40: 'snare',
+    42: 'hihat', 44: 'hihat', 51: 'hihat',
+    46: { instrument: 'hihat', accent: true },
+    49: { instrument: 'hihat', accent: true },
+    57: { instrument: 'hihat', accent: true },
+};
+
+function _midiProgramInstrument(program) {
+    if (program >= 32 && program < 40) return 'superSawBass';   // bass
+    if (program >= 56 && program < 88) return 'fmLead';         // brass, reed, pipe, synth lead
+    return 'synth';
+}
+
+function _readMidiString(bytes, start, length) {
+    let str = '';
+    for (let i = 0; i < length; i++) str += String.fromCharCode(bytes[start + i]);
+    return str;
+}
+
+function _parseMidiTrack(bytes, pos, end) {
+    const events = [];
+    let tick = 0, status = 0;
+    const readVar = () => {
+        let value = 0, b;
+        do { b = bytes[pos++]; value = (value << 7) | (b & 0x7f); } while (b & 0x80 && pos < end);
+        return value;
+    };
+    while (pos < end) {
+        tick += readVar();
+        if (bytes[pos] & 0x80) status = bytes[pos++];
+        else if (!status) throw new Error('Synthaura: malformed MIDI track (running status without status byte)');
+
+        if (status === 0xff) {
+            const type = bytes[pos++], length = readVar(), start = pos;
+            pos += length;
+            status = 0;
+            if (type === 0x2f) break;
+            if (type === 0x51) {
+                const mpq = (bytes[start] << 16) | (bytes[start + 1] << 8) | bytes[start + 2];
+                events.push({ tick, type: 'tempo', bpm: 60000000 / mpq });
+            } else if (type === 0x58) {
+                events.push({ tick, type: 'timeSignature', numerator: bytes[start], denominator: Math.pow(2, bytes[start + 1]) });
+            } else if (type === 0x06) {
+                events.push({ tick, type: 'marker', text: _readMidiString(bytes, start, length) });
+            }
+        } else if (status === 0xf0 || status === 0xf7) {
+            pos += readVar();
+            status = 0;
+        } else {
+            const kind = status & 0xf0, channel = status & 0x0f;
+            const data1 = bytes[pos++];
+            const data2 = kind === 0xc0 || kind === 0xd0 ? 0 : bytes[pos++];
+            if (kind === 0x90 && data2 > 0)         events.push({ tick, type: 'noteOn', channel, note: data1, velocity: data2 });
+            else if (kind === 0x80 || kind === 0x90) events.push({ tick, type: 'noteOff', channel, note: data1 });
+            else if (kind === 0xc0)                  events.push({ tick, type: 'programChange', channel, program: data1 });
+        }
+    }
+    return events;
+}
+
+// Standard MIDI File (format 0/1) → { format, division, tracks: [[event, ...]] }
+// with absolute ticks. Only what the BGM engine can use is kept.
+export function parseMidi(data) {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    const view  = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    if (bytes.length < 14 || _readMidiString(bytes, 0, 4) !== 'MThd') throw new Error('Synthaura: not a Standard MIDI File');
+    const format = view.getUint16(8), count = view.getUint16(10), division = view.getUint16(12);
+    if (format > 1)        throw new Error(`Synthaura: MIDI format ${format} is not supported`);
+    if (division & 0x8000) throw new Error('Synthaura: SMPTE time division is not supported');
+    const tracks = [];
+    let pos = 8 + view.getUint32(4);
+    while (tracks.length < count && pos + 8 <= bytes.length) {
+        const id = _readMidiString(bytes, pos, 4), length = view.getUint32(pos + 4);
+        pos += 8;
+        if (id === 'MTrk') tracks.push(_parseMidiTrack(bytes, pos, Math.min(pos + length, bytes.length)));
+        pos += length;
+    }
+    return { format, division, tracks };
+}
+
+// Converts parsed MIDI into a BGM track with sequenced parts. options:
+//   channels  { channel: instrument }    (0-based channels)
+//   programs  { program: instrument }    (GM program numbers)
+//   drums     { note: instrument | { instrument, accent } } for drumChannel
+//   drumChannel (default 9), params { instrument: params }, volume
+//   loop      true (whole song, default) | false | section name | { start, end } in bars
+// Sections come from marker events when present. Only the first time signature is used.
+export function midiToTrack(midi, options = {}) {
+    const perStep     = midi.division / 4;
+    const drumChannel = options.drumChannel == null ? 9 : options.drumChannel;
+    const drums       = { ...MIDI_DRUMS, ...options.drums };
+    const programs    = new Array(16).fill(0);
+    const open        = new Map(), parts = new Map();
+    const tempos      = [], markers = [];
+    let bpm = 120, timeSignature = [4, 4], meter = false, end = 0;
+
+    const resolve = (channel, program, note) => {
+        if (channel === drumChannel) return drums[note] || null;
+        if (options.channels && options.channels[channel]) return options.channels[channel];
+        if (options.programs && options.programs[program]) return options.programs[program];
+        return _midiProgramInstrument(program);
+    };
+    const addNote = (start, step) => {
+        const target = resolve(start.channel, start.program, start.note);
+        if (!target) return;
+        const { instrument, accent = false } = typeof target === 'string' ? { instrument: target } : target;
+        const key = instrument + (accent ? ':accent' : '');
+        if (!parts.has(key)) {
+            const part = { instrument, events: [] };
+            if (accent) part.accent = true;
+            if (options.params && options.params[instrument]) part.params = options.params[instrument];
+            parts.set(key, part);
+        }
+        const length = Math.max(step - start.step, 0.25);
+        parts.get(key).events.push([start.step, start.note, length, start.velocity / 127]);
+        end = Math.max(end, start.step + length);
+    };
+
+    const events = midi.tracks.flat().sort((a, b) => a.tick - b.tick);
+    for (const ev of events) {
+        const step = ev.tick / perStep;
+        if (ev.type === 'tempo') {
+            if (ev.tick === 0) bpm = ev.bpm;
+            else               tempos.push([step, ev.bpm]);
+        } else if (ev.type === 'timeSignature' && !meter) {
+            timeSignature = [ev.numerator, ev.denominator];
+            meter         = true;
+        } else if (ev.type === 'marker') {
+            markers.push({ step, name: ev.text.trim() || `M${markers.length + 1}` });
+        } else if (ev.type === 'programChange') {
+            programs[ev.channel] = ev.program;
+        } else if (ev.type === 'noteOn' || ev.type === 'noteOff') {
+            const key = ev.channel * 128 + ev.note;
+            if (open.has(key)) { addNote(open.get(key), step); open.delete(key); }
+            if (ev.type === 'noteOn') open.set(key, { step, note: ev.note, velocity: ev.velocity, channel: ev.channel, program: programs[ev.channel] });
+        }
+    }
+    for (const start of open.values()) addNote(start, start.step + 1);
+
+    const track = { bpm, volume: options.volume || 0.2, timeSignature, parts: [...parts.values()] };
+    const { stepsPerBar } = _meter(track);
+    const bars  = Math.max(1, Math.ceil(end / stepsPerBar));
+    for (const part of track.parts) part.events.sort((a, b) => a[0] - b[0]);
+    if (tempos.length) track.tempos = tempos;
+
+    const loop = options.loop == null ? true : options.loop;
+    if (loop && typeof loop === 'object') {
+        const { start = 0, end = bars } = loop;
+        track.sections = [];
+        if (start > 0) track.sections.push({ name: 'INTRO', bars: start });
+        track.sections.push({ name: 'LOOP', bars: Math.max(1, end - start) });
+        track.loop = 'LOOP';
+    } else {
+        const starts = markers.map(m => ({ name: m.name, bar: Math.floor(m.step / stepsPerBar) })).filter(m => m.bar < bars);
+        if (!starts.length || starts[0].bar > 0) starts.unshift({ name: 'START', bar: 0 });
+        track.sections = starts.map((s, i) => ({ name: s.name, bars: Math.max(1, (i + 1 < starts.length ? starts[i + 1].bar : bars) - s.bar) }));
+        if (loop === false)                track.sections.push({ name: 'END' });
+        else if (typeof loop === 'string') track.loop = loop;
+    }
+    return track;
+}
+
+// ── Composer ───────────────────────────────────────────────────────────────
+
+export const MODES = {
+    lydian:          [0, 2, 4, 6, 7, 9, 11],
+    major:           [0, 2, 4, 5, 7, 9, 11],
+    mixolydian:      [0, 2, 4, 5, 7, 9, 10],
+    dorian:          [0, 2, 3, 5, 7, 9, 10],
+    minor:           [0, 2, 3, 5, 7, 8, 10],
+    phrygian:        [0, 1, 3, 5, 7, 8, 10],
+    locrian:         [0, 1, 3, 5, 6, 8, 10],
+    harmonicMinor:   [0, 2, 3, 5, 7, 8, 11],
+    pentatonic:      [0, 2, 4, 7, 9],
+    minorPentatonic: [0, 3, 5, 7, 10],
+};
+
+// Brightest to darkest, for picking a mode from the brightness knob.
+const MOOD_MODES = ['lydian', 'major', 'mixolydian', 'dorian', 'minor', 'phrygian'];
+
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+const FLAT_NAMES = { Db: 'C#', Eb: 'D#', Gb: 'F#', Ab: 'G#', Bb: 'A#' };
+
+// MIDI note of `key` in `octave`: a name ('C', 'F#', 'Bb') or a number, read
+// as a pitch class (0 = C; a MIDI note number keeps only its pitch class).
+function _keyNote(key = 'C', octave = 3) {
+    const index = typeof key === 'number' ? ((Math.round(key) % 12) + 12) % 12 : NOTE_NAMES.indexOf(FLAT_NAMES[key] || key);
+    if (index === -1) throw new Error(`Synthaura: unknown key "${key}"`);
+    return 12 * (octave + 1) + index;
+}
+
+function _modeSteps(mode) {
+    const steps = Array.isArray(mode) ? mode : MODES[mode];
+    if (!steps) throw new Error(`Synthaura: unknown mode "${mode}"`);
+    return steps;
+}
+
+// MIDI note of a scale degree; degrees past the mode wrap into the next octave.
+function _degreeNote(root, steps, degree) {
+    const len = steps.length;
+    return root + steps[((degree % len) + len) % len] + 12 * Math.floor(degree / len);
+}
+
+// One octave of `mode` from `key` in Hz, usable as a track scale or in
+// bgm.scales. Tracks may also give scale: { key, mode, octave }.
+export function createScale(key = 'C', mode = 'minor', octave = 3) {
+    const root = _keyNote(key, octave);
+    return _modeSteps(mode).map(step => _midiToFreq(root + step));
+}
+
+const _scaleCache = new Map();
+
+function _scaleFrom({ key, mode, octave }) {
+    const id = `${key}:${mode}:${octave}`;
+    if (!_scaleCache.has(id)) _scaleCache.set(id, createScale(key, mode, octave));
+    return _scaleCache.get(id);
+}
+
+// Weighted chord moves between scale degrees (0 = tonic): a light take on
+// functional harmony, tonic → predominant → dominant → tonic.
+const CHORD_MOVES = [
+    { 3: 3, 4: 3, 5: 3, 1: 2, 2: 1 },
+    { 4: 4, 6: 1, 2: 1 },
+    { 5: 3, 3: 2, 1: 1 },
+    { 4: 4, 0: 2, 1: 2, 6: 1 },
+    { 0: 5, 5: 2, 3: 1 },
+    { 1: 3, 3: 3, 4: 2 },
+    { 0: 4, 2: 1 },
+];
+
+// How busy each section is (0..1); other names get 0.6.
+const SECTION_ENERGY = { INTRO: 0.3, VERSE: 0.6, CHORUS: 1, BRIDGE: 0.5, BREAKDOWN: 0.2, BUILD: 0.8, OUTRO: 0.3 };
+
+const COMPOSE_SECTIONS = [
+    { name: 'INTRO',  bars: 4 },
+    { name: 'VERSE',  bars: 8 },
+    { name: 'CHORUS', bars: 8 },
+    { name: 'BRIDGE', bars: 4 },
+];
+
+function _pickWeighted(weights, random) {
+    const entries = Object.entries(weights);
+    let left = random() * entries.reduce((sum, [, weight]) => sum + weight, 0);
+    for (const [value, weight] of entries) {
+        if ((left -= weight) < 0) return Number(value);
+    }
+    return Number(entries[entries.length - 1][0]);
+}
+
+// Tension favours dominant and predominant chords over resolving home.
+function _composeProgression(start, length, tension, random) {
+    const chords = [start];
+    while (chords.length < length) {
+        const weights = { ...CHORD_MOVES[chords[chords.length - 1] % CHORD_MOVES.length] };
+        for (const degree of Object.keys(weights)) {
+            if (degree === '0')                                          weights[degree] *= 1.5 - tension;
+            else if (degree === '1' || degree === '4' || degree === '6') weights[degree] *= 1 + tension * 2;
+        }
+        chords.push(_pickWeighted(weights, random));
+    }
+    return chords;
+}
+
+// Onsets for `length` steps: downbeats are likeliest, sixteenths rarest.
+function _composeRhythm(length, stepsPerBeat, density, random) {
+    const half = Math.max(1, Math.floor(stepsPerBeat / 2)), rhythm = [];
+    for (let step = 0; step < length; step++) {
+        const chance = step % stepsPerBeat === 0 ? 0.3 + 0.6 * density
+                     : step % half === 0         ? 0.1 + 0.5 * density
+                     :                             0.05 + 0.35 * density * density;
+        rhythm.push(random() < chance);
+    }
+    if (!rhythm.includes(true)) rhythm[0] = true;
+    return rhythm;
+}
+
+// Flips a share of the off-beat onsets, so a variation keeps the downbeats.
+function _varyRhythm(rhythm, stepsPerBeat, amount, random) {
+    return rhythm.map((hit, step) => (step % stepsPerBeat !== 0 && random() < amount ? !hit : hit));
+}
+
+// Markov walk over scale degrees: mostly steps, some leaps (more with
+// tension), pulled to chord tones on the beat and home at phrase ends.
+function _composePhrase(rhythm, chords, c, random) {
+    const notes = [], { stepsPerBar, stepsPerBeat, tension, low, high, size } = c;
+    let degree = c.start;
+    rhythm.forEach((hit, step) => {
+        if (!hit) return;
+        const chord = chords[Math.floor(step / stepsPerBar) % chords.length];
+        degree += _pickWeighted({ 0: 1, 1: 4, '-1': 4, 2: 2, '-2': 2, 3: 0.5 + tension, '-3': 0.5 + tension, 4: tension, '-4': tension }, random);
+        if (degree < low)  degree += size;
+        if (degree > high) degree -= size;
+        if (step % stepsPerBeat === 0 && random() > tension * 0.6) {
+            const tones = [0, 2, 4].flatMap(offset => [chord + offset - size, chord + offset, chord + offset + size]);
+            degree = tones.reduce((best, tone) => (Math.abs(tone - degree) < Math.abs(best - degree) ? tone : best));
+            while (degree < low)  degree += size;
+            while (degree > high) degree -= size;
+        }
+        notes.push({ step, degree });
+    });
+    if (notes.length && c.resolve) notes[notes.length - 1].degree = Math.ceil(low / size) * size;
+    notes.forEach((note, i) => {
+        const next = i + 1 < notes.length ? notes[i + 1].step : rhythm.length;
+        note.length = Math.max(1, Math.min(next - note.step, stepsPerBeat * 2));
+    });
+    return notes;
+}
+
+// Builds a complete track from a key, a mode and three mood knobs (0..1):
+// tension (harmony and leaps), brightness (mode, register, tone) and density
+// (tempo and how busy the parts are). Everything is plain pattern data: a
+// sequenced part per instrument, and per-section chord degrees.
+export function composeTrack(options = {}) {
+    const seed       = options.seed;
+    const random     = _randomFor(seed, 'compose');
+    const tension    = options.tension    == null ? 0.5 : options.tension;
+    const brightness = options.brightness == null ? 0.5 : options.brightness;
+    const density    = options.density    == null ? 0.5 : options.density;
+    const key        = options.key  == null ? NOTE_NAMES[Math.floor(random() * 12)] : options.key;
+    const mode       = options.mode == null ? MOOD_MODES[Math.round((1 - brightness) * (MOOD_MODES.length - 1))] : options.mode;
+    const steps      = _modeSteps(mode);
+    const bpm        = options.bpm || Math.round(80 + density * 60);
+    const timeSignature = options.timeSignature || [4, 4];
+    const { stepsPerBar, stepsPerBeat } = _meter({ timeSignature, stepsPerBeat: options.stepsPerBeat });
+    const beats      = Math.max(1, Math.round(stepsPerBar / stepsPerBeat));
+    const half       = Math.max(1, Math.floor(stepsPerBeat / 2));
+    const sections   = (options.sections || COMPOSE_SECTIONS).map(section => {
+        if (!(section.bars > 0)) throw new Error(`Synthaura: composed section "${section.name}" needs bars`);
+        return { ...section };
+    });
+
+    const bassRoot   = _keyNote(key, 2);
+    const padRoot    = _keyNote(key, 3);
+    const leadRoot   = _keyNote(key, 4);
+    const parts = {
+        kick:  { instrument: 'kick',  minIntensity: 0.3, events: [] },
+        snare: { instrument: 'snare', minIntensity: 0.3, events: [] },
+        hihat: { instrument: 'hihat', minIntensity: 0.3, events: [] },
+        open:  { instrument: 'hihat', minIntensity: 0.3, accent: true, events: [] },
+        bass:  { instrument: 'superSawBass', params: { cutoff: Math.round(200 + brightness * 1000) }, events: [] },
+        pad:   { instrument: 'synth', params: { wave: brightness > 0.5 ? 'triangle' : 'sine' }, events: [] },
+        lead:  { instrument: 'fmLead', minIntensity: 0.6, params: { volume: 0.12 }, events: [] },
+    };
+
+    // One hook rhythm for the whole song keeps the sections related.
+    const hook = _composeRhythm(stepsPerBar * 2, stepsPerBeat, density, random);
+    const progression = [];
+    let bar = 0;
+    sections.forEach((section, index) => {
+        const energy = section.energy == null ? (SECTION_ENERGY[section.name] == null ? 0.6 : SECTION_ENERGY[section.name]) : section.energy;
+        const busy   = energy * (0.5 + density);
+        const cycle  = section.bars >= 4 ? 4 : section.bars;
+        const first  = index === 0 || energy < 0.7 ? 0 : [0, 3, 5][Math.floor(random() * 3)];
+        const chords = section.chords || _composeProgression(first, cycle, tension, random);
+        section.chords = chords;
+        const start = bar * stepsPerBar;
+
+        for (let b = 0; b < section.bars; b++) {
+            const chord = chords[b % chords.length], next = chords[(b + 1) % chords.length];
+            const at    = start + b * stepsPerBar;
+            const fill  = b === section.bars - 1 && energy >= 0.5 && index < sections.length - 1;
+            progression.push(chord);
+
+            // Pad: the chord held for the bar.
+            for (const offset of [0, 2, 4]) parts.pad.events.push([at, _degreeNote(padRoot, steps, chord + offset), stepsPerBar, 0.6]);
+
+            // Bass: whole notes, root and fifth, or driving eighths.
+            const root = _degreeNote(bassRoot, steps, chord);
+            if (busy < 0.35) {
+                parts.bass.events.push([at, root, stepsPerBar, 0.8]);
+            } else if (busy < 0.7) {
+                const split = Math.max(1, Math.floor(beats / 2)) * stepsPerBeat;
+                parts.bass.events.push([at, root, split, 0.9], [at + split, _degreeNote(bassRoot, steps, chord + 4), stepsPerBar - split, 0.8]);
+            } else {
+                for (let s = 0; s < stepsPerBar; s += half) parts.bass.events.push([at + s, root + ((s / half) % 4 === 2 ? 12 : 0), half, s % stepsPerBeat ? 0.7 : 0.9]);
+            }
+            // With tension, approach the next chord from a semitone below.
+            if (tension > 0.5 && next !== chord && busy >= 0.35) {
+                const last = parts.bass.events[parts.bass.events.length - 1];
+                if (last[2] > half) last[2] -= half;
+                parts.bass.events.push([at + stepsPerBar - half, _degreeNote(bassRoot, steps, next) - 1, half, 0.8]);
+            }
+
+            // Drums: kick on the strong beats, snare on the backbeats, hats by
+            // density, and a snare fill into the next section.
+            if (energy >= 0.3) {
+                const hatStep = busy > 0.8 ? Math.max(1, Math.floor(half / 2)) : half;
+                for (let s = 0; s < stepsPerBar; s += hatStep) {
+                    if (fill && s >= stepsPerBar - stepsPerBeat) break;
+                    const open = s === stepsPerBar - half && random() < 0.3 + tension * 0.4;
+                    (open ? parts.open : parts.hihat).events.push([at + s, 42, 1, s % stepsPerBeat ? 0.6 : 0.9]);
+                }
+            }
+            if (energy < 0.5) continue;
+            const fillFrom = fill ? stepsPerBar - stepsPerBeat * (1 + Math.round(tension)) : stepsPerBar;
+            for (let beat = 0; beat < beats; beat++) {
+                const s = beat * stepsPerBeat;
+                if (s >= fillFrom) break;
+                if (beat % 2 === 0) parts.kick.events.push([at + s, 36, 1, 1]);
+                else                parts.snare.events.push([at + s, 38, 1, 1]);
+            }
+            if (density > 0.6 && busy > 0.6 && stepsPerBar - half < fillFrom) parts.kick.events.push([at + stepsPerBar - stepsPerBeat - half, 36, 1, 0.8]);
+            const roll = Math.max(1, Math.floor(half / (tension > 0.5 ? 2 : 1)));
+            for (let s = fillFrom; s < stepsPerBar; s += roll) parts.snare.events.push([at + s, 38, 1, 0.5 + 0.5 * (s - fillFrom) / (stepsPerBar - fillFrom)]);
+        }
+
+        // Lead: two-bar phrases on the hook rhythm (varied outside the
+        // chorus); every second phrase answers the first and resolves home.
+        if (energy >= 0.35) {
+            const rhythm = energy >= 1 ? hook : _varyRhythm(hook, stepsPerBeat, 0.4 - 0.2 * energy, random);
+            const low    = Math.round(brightness * 4);   // brighter sits higher
+            let call = null;
+            for (let b = 0; b < section.bars; b += 2) {
+                const pair   = [chords[b % chords.length], chords[(b + 1) % chords.length]];
+                const answer = call && (b / 2) % 2 === 1;
+                const phrase = _composePhrase(rhythm.slice(0, Math.min(2, section.bars - b) * stepsPerBar), pair, {
+                    stepsPerBar, stepsPerBeat, tension, size: steps.length, low, high: low + steps.length + 2, start: low + 2, resolve: answer,
+                }, random);
+                // An answer restates the call's first bar before moving on.
+                const notes = answer ? [...call.filter(n => n.step < stepsPerBar), ...phrase.filter(n => n.step >= stepsPerBar)] : phrase;
+                if (!answer) call = phrase;
+                for (const note of notes) {
+                    if (random() > 0.55 + busy * 0.45) continue;
+                    parts.lead.events.push([start + b * stepsPerBar + note.step, _degreeNote(leadRoot, steps, note.degree), note.length, 0.7 + 0.3 * (note.step % stepsPerBeat === 0)]);
+                }
+            }
+        }
+        bar += section.bars;
+    });
+
+    const loop = options.loop || (sections.find(s => s.name === 'VERSE') || sections[0]).name;
+    return {
+        bpm, volume: options.volume || 0.2, timeSignature, stepsPerBeat,
+        key, mode, scale: { key, mode, octave: 3 },
+        mood: { tension, brightness, density },
+        progression, sections, loop,
+        parts: Object.values(parts).filter(part => part.events.length).map(part => {
+            part.events.sort((a, b) => a[0] - b[0]);
+            return part;
+        }),
+    };
+}
+
+// ── SynthauraBGM ───────────────────────────────────────────────────────────
+
+// Seconds a retired deck keeps its nodes so already-scheduled notes can ring out.
+const DECK_RELEASE = 4;
+
+// Seconds the scheduler may fall behind the clock (throttled timers, a frozen
+// tab) before it skips ahead instead of playing the missed notes in a burst.
+const MAX_SCHEDULE_LAG = 0.2;
+
+export class SynthauraBGM {
+    constructor(options = {}) {
+        this.ctx          = options.ctx || (options.mixer && options.mixer.ctx) || getSharedAudioContext();
+        this.offline      = typeof this.ctx.startRendering === 'function';
+        this.seed         = options.seed;
+        this.mixer        = options.mixer || null;
+        this.bus          = options.bus || 'music';
+        this.onBeat       = options.onBeat || (() => {});
+        this.onAudibleBeat = options.onAudibleBeat || null;
+        this.isPlaying    = false;
+        this.paused       = false;
+        this.intensity    = options.intensity == null ? 1 : options.intensity;
+        this.tracks       = { ...BGM_TRACKS, ...options.tracks };
+        this.instruments  = { ...BGM_INSTRUMENTS, ...options.instruments };
+
+        this._compressor = this.ctx.createDynamicsCompressor();
+        _configureCompressor(this._compressor, { threshold: -12, ...options.compressor });
+        this._compressor.connect(this.mixer ? this.mixer.input(this.bus) : this.ctx.destination);
+
+        this._master = this.ctx.createGain();
+        this._master.connect(this._compressor);
+
+        this._reverb = new ReverbSend(this.ctx, this._master, options.environment || 'hall', this.seed);
+
+        this._noiseBuffer = _sharedNoise(this.ctx, 'white', this.seed);
+        this._random      = _randomFor(this.seed);
+        this._sources     = new Set();   // scheduled notes still sounding, for destroy()
+        this._timers      = new Map();
+        this.destroyed    = false;
+
+        this.scales = {
+            mainTheme: [130.81, 146.83, 155.56, 174.61, 196.00, 207.65, 233.08],
+            ambient:   [233.08, 207.65, 174.61, 155.56],
+            ...options.scales,
+        };
+
+        // Each playing track is a deck with its own position and output gains,
+        // so two tracks can overlap while crossfading.
+        this._decks            = [];
+        this._pending          = null;
+        this._pendingIntensity = null;
+        this._timeline         = [];   // scheduled steps of the main deck, for getPosition()
+        this._applyTrack(options.track || 'ambient', options.section);
+
+        if (!this.offline) this._ticker = _createTicker(() => this._schedule(), 25, options.timer);
+    }
+
+    get currentTrack() { return this._deck.track; }
+    get bpm()          { return this._deck.bpm; }
+    get noteLength()   { return this._deck.noteLength; }
+    get stepsPerBar()  { return this._deck.stepsPerBar; }
+    get stepsPerBeat() { return this._deck.stepsPerBeat; }
+    get swing()        { return this._deck.swing; }
+    get tick()         { return this._deck.tick; }
+    get measure()      { return this._deck.measure; }
+    get nextNoteTime() { return this._deck.nextNoteTime; }
+
+    start() {
+        if (this.isPlaying || this.destroyed) return;
+        if (!this.offline) this.ctx.resume();
+        const now = this.ctx.currentTime;
+        this.isPlaying = true;
+        this.paused    = false;
+        this._timeline = [];
+        this._deck.nextNoteTime = now + 0.1;
+        this._master.gain.cancelScheduledValues(now);
+        this._master.gain.setValueAtTime(0, now);
+        this._master.gain.setTargetAtTime(1, now, 0.3);
+        // An OfflineAudioContext has a fixed length, so schedule all of it up front.
+        if (this.offline) this._schedule(this.ctx.length / this.ctx.sampleRate);
+        else              this._ticker.start();
+    }
+
+    stop() {
+        if (!this.isPlaying) return;
+        this.isPlaying = false;
+        this.paused    = false;
+        if (!this.offline) this._ticker.stop();
+        this._master.gain.cancelScheduledValues(this.ctx.currentTime);
+        this._master.gain.setTargetAtTime(0, this.ctx.currentTime, 0.1);
+        if (this._pending) this._applyTrack(this._pending.track, this._pending.section);
+    }
+
+    // Holds the music where it is, without stop()'s fade-out, until resume().
+    pause() {
+        if (!this.isPlaying || this.paused || this.offline) return;
+        const now = this.ctx.currentTime;
+        this.paused = true;
+        this._ticker.stop();
+        this._master.gain.cancelScheduledValues(now);
+        this._master.gain.setTargetAtTime(0, now, 0.02);
+    }
+
+    resume() {
+        if (!this.paused || this.destroyed) return;
+        const now = this.ctx.currentTime;
+        this.paused = false;
+        this.ctx.resume();
+        this._resync(now);
+        this._master.gain.cancelScheduledValues(now);
+        this._master.gain.setTargetAtTime(1, now, 0.05);
+        this._ticker.start();
+    }
+
+    registerTrack(name, track) {
+        if (this.destroyed) return;
+        if (!track || !Array.isArray(track.parts)) throw new Error(`Synthaura: track "${name}" needs a parts array`);
+        for (const [instrument, def] of Object.entries(track.instruments || {})) _checkInstrument(instrument, def);
+        for (const part of track.parts) {
+            const known = BGM_DRUMS.includes(part.instrument) || (track.instruments && track.instruments[part.instrument]) || this.instruments[part.instrument];
+            if (!known) throw new Error(`Synthaura: unknown instrument "${part.instrument}" in track "${name}"`);
+        }
+        this.tracks[name] = track;
+        for (const deck of this._decks) if (deck.track === name) this._loadTrack(deck, track);
+    }
+
+    // Adds or replaces an instrument (see BGM_INSTRUMENTS) for every track.
+    registerInstrument(name, def) {
+        if (BGM_DRUMS.includes(name)) throw new Error(`Synthaura: "${name}" is a built-in drum`);
+        _checkInstrument(name, def);
+        this.instruments[name] = def;
+    }
+
+    // Composes a track with composeTrack() (seeded from this BGM unless
+    // options.seed is given), registers it and returns the pattern data.
+    compose(name, options = {}) {
+        const track = composeTrack({ seed: this.seed, ...options });
+        this.registerTrack(name, track);
+        return track;
+    }
+
+    loadMidi(name, data, options = {}) {
+        const track = midiToTrack(parseMidi(data), options);
+        this.registerTrack(name, track);
+        return track;
+    }
+
+    // Changes the current track's tempo; a track with a tempo map is scaled as
+    // a whole. switchTrack() starts the next track at its own bpm.
+    setTempo(bpm, options = {}) {
+        if (this.destroyed) return;
+        if (!(bpm > 0)) throw new Error(`Synthaura: invalid tempo ${bpm}`);
+        const deck  = this._deck;
+        const scale = deck.tempoScale * bpm / deck.bpm;
+        const steps = Math.round((options.rampBars || 0) * deck.stepsPerBar);
+        if (steps > 0) {
+            deck.tempoRamp = { from: deck.tempoScale, to: scale, step: 0, steps };
+        } else {
+            deck.tempoRamp  = null;
+            deck.tempoScale = scale;
+            deck.bpm        = bpm;
+            deck.noteLength = 60 / bpm / 4;
+        }
+    }
+
+    // Takes effect on the next bar while playing.
+    setTimeSignature(beats, unit = 4, stepsPerBeat) {
+        if (this.destroyed) return;
+        const meter = _meter({ timeSignature: [beats, unit], stepsPerBeat });
+        if (!(meter.stepsPerBar > 0)) throw new Error(`Synthaura: invalid time signature ${beats}/${unit}`);
+        if (this.isPlaying && this._deck.tick !== 0) this._deck.nextMeter = meter;
+        else Object.assign(this._deck, meter);
+    }
+
+    setSwing(amount) {
+        if (this.destroyed) return;
+        this._deck.swing = Math.min(1, Math.max(0, amount));
+    }
+
+    // Musical position at the audible edge of the scheduler. Next beat/bar
+    // times come from already scheduled steps, or are extrapolated at the
+    // current tempo.
+    getPosition() {
+        const deck = this._deck, now = this.ctx.currentTime, timeline = this._timeline;
+        let i = 0;
+        while (i + 1 < timeline.length && timeline[i + 1].time <= now) i++;
+        const step = this.isPlaying && timeline[i];
+        if (!step) {
+            return {
+                track: deck.track, bar: deck.measure, beat: Math.floor(deck.tick / deck.stepsPerBeat), tick: deck.tick,
+                section: (this._sectionAt(deck, deck.measure) || {}).name || null, bpm: deck.bpm,
+                time: now, nextBeatTime: null, nextBarTime: null,
+            };
+        }
+        const last = timeline[timeline.length - 1];
+        const next = (every) => {
+            const hit = timeline.find(s => s.time > now && s.tick % every === 0);
+            return hit ? hit.time : last.time + (every - last.tick % every) * last.noteLength;
+        };
+        return {
+            track: step.track, bar: step.bar, beat: Math.floor(step.tick / step.stepsPerBeat), tick: step.tick,
+            section: step.section, bpm: step.bpm,
+            time: now, nextBeatTime: next(step.stepsPerBeat), nextBarTime: next(step.stepsPerBar),
+        };
+    }
+
+    setIntensity(value, options = {}) {
+        if (this.destroyed) return;
+        const intensity = Math.min(1, Math.max(0, value));
+        if (this.isPlaying && options.quantize && options.quantize !== 'now') {
+            this._pendingIntensity = { intensity, quantize: options.quantize };
+        } else {
+            this.intensity         = intensity;
+            this._pendingIntensity = null;
+        }
+    }
+
+    // options: quantize ('now' | 'beat' | 'bar' | 'section'), crossfade (s),
+    // section (start the new track there), stinger (track name or
+    // fn(time)) and stingerBars.
+    switchTrack(trackName, options = {}) {
+        if (this.destroyed) return;
+        const track = this.tracks[trackName];
+        if (!track) throw new Error(`Synthaura: unknown track "${trackName}"`);
+        if (options.section != null && !_buildSections(track).some(section => section.name === options.section)) {
+            throw new Error(`Synthaura: track "${trackName}" has no section "${options.section}"`);
+        }
+        const stinger = options.stinger;
+        if (typeof stinger === 'string' && !this.tracks[stinger]) throw new Error(`Synthaura: unknown track "${stinger}"`);
+        if (stinger != null && typeof stinger !== 'string' && typeof stinger !== 'function') {
+            throw new Error('Synthaura: stinger must be a track name or a function');
+        }
+        if (this.currentTrack === trackName && options.section == null) { this._pending = null; return; }
+        if (!this.isPlaying) { this._applyTrack(trackName, options.section); return; }
+        this._pending = {
+            track:       trackName,
+            section:     options.section,
+            quantize:    options.quantize || 'now',
+            crossfade:   options.crossfade == null ? 0.15 : options.crossfade,
+            stinger:     stinger,
+            stingerBars: options.stingerBars || 1,
+        };
+    }
+
+    renderToBuffer(options = {}) {
+        const track      = options.track || this.currentTrack;
+        const bars       = options.bars  || 4;
+        const sampleRate = options.sampleRate || this.ctx.sampleRate;
+        const tail       = options.tail == null ? 3 : options.tail;
+        const song       = this.tracks[track];
+        if (!song) return Promise.reject(new Error(`Synthaura: unknown track "${track}"`));
+        const start      = options.section == null ? { start: 0 } : _buildSections(song).find(s => s.name === options.section);
+        if (!start) return Promise.reject(new Error(`Synthaura: track "${track}" has no section "${options.section}"`));
+        const startTime  = 0.1;
+        const duration   = startTime + _trackDuration(song, bars, start.start) + tail;
+        const ctx        = _createOfflineContext(options.channels || 2, Math.ceil(duration * sampleRate), sampleRate);
+        const seed       = options.seed != null ? options.seed : this.seed;
+        const intensity  = options.intensity != null ? options.intensity : this.intensity;
+        const renderer   = new SynthauraBGM({
+            ctx, seed, track, intensity, section: options.section, tracks: this.tracks, scales: this.scales, instruments: this.instruments,
+            environment: this._reverb.environment, compressor: _compressorSettings(this._compressor),
+        });
+        renderer.isPlaying = true;
+        renderer._deck.nextNoteTime = startTime;
+        renderer._deck.bars         = renderer._deck.measure + bars;
+        renderer._schedule(duration);
+        return _startRendering(ctx).then(buffer => { renderer.destroy(); return buffer; });
+    }
+
+    exportWav(options = {}) {
+        return this.renderToBuffer(options).then(buffer => _wavOutput(buffer, options));
+    }
+
+    // Fades out, stops the scheduler and every sounding note, then frees the
+    // nodes. Resolves once torn down; afterwards every method is a no-op.
+    destroy() {
+        if (this._destroyed) return this._destroyed;
+        this.stop();
+        this.destroyed = true;
+        if (this._lifecycle) this._lifecycle.detach(this);
+        if (this._ticker) this._ticker.destroy();
+        _clearTimers(this._timers);
+        const teardown = () => {
+            for (const src of this._sources) { try { src.stop(); } catch (_) {} }
+            this._sources.clear();
+            this._compressor.disconnect();
+            this._master.disconnect();
+            this._reverb.disconnect();
+            for (const deck of this._decks) _disconnectDeck(deck);
+        };
+        this._destroyed = this.offline ? Promise.resolve().then(teardown) : new Promise(resolve => _env.setTimeout(resolve, 500)).then(teardown);
+        return this._destroyed;
+    }
+
+    setSeed(seed) { this._random = _randomFor(seed); }
+
+    setReverb(environment, { crossfade = 1 } = {}) { if (!this.destroyed) this._reverb.set(environment, crossfade); }
+
+    setCompressor(settings) { if (!this.destroyed) _configureCompressor(this._compressor, settings); }
+
+    // scaleName: a name in bgm.scales, an array of Hz or { key, mode, octave }.
+    getFreq(scaleName, index) {
+        let scale = typeof scaleName === 'string' ? this.scales[scaleName] : scaleName;
+        if (scale && !Array.isArray(scale)) scale = _scaleFrom(scale);
+        if (!scale) return 440;
+        const len = scale.length;
+        return scale[((index % len) + len) % len] * Math.pow(2, Math.floor(index / len));
+    }
+
+    _applyTrack(trackName, section) {
+        const now = this.ctx.currentTime;
+        for (const deck of this._decks) deck.endTime = Math.min(deck.endTime, now);
+        this._deck    = this._createDeck(trackName, now, section);
+        this._pending = null;
+    }
+
+    _createDeck(trackName, time, section) {
+        const song = this.tracks[trackName];
+        const gain = this.ctx.createGain(), side = this.ctx.createGain(), wet = this.ctx.createGain();
+        gain.gain.value = song.volume;
+        wet.gain.value  = song.volume;
+        side.connect(gain); side.connect(wet);
+        gain.connect(this._master);
+        wet.connect(this._reverb.input);
+        const deck = {
+            track: trackName, tick: 0, measure: 0, nextNoteTime: time,
+            endTime: Infinity, bars: Infinity, level: song.volume,
+            tempoScale: 1, tempoRamp: null, nextMeter: null,
+            gain, side, wet,
+        };
+        this._loadTrack(deck, song);
+        const start = deck.sections.find(s => s.name === section);
+        if (start) deck.measure = start.start;
+        this._decks.push(deck);
+        return deck;
+    }
+
+    _loadTrack(deck, song) {
+        deck.song        = song;
+        deck.bpm         = song.bpm;
+        deck.noteLength  = 60 / song.bpm / 4;
+        deck.swing       = song.swing || 0;
+        deck.sections    = _buildSections(song);
+        deck.glide       = new Map();   // part → last frequency, for portamento
+        Object.assign(deck, _meter(song));
+    }
+
+    _fadeDeck(deck, level, time, fade) {
+        for (const param of [deck.gain.gain, deck.wet.gain]) {
+            param.cancelScheduledValues(time);
+            param.setValueAtTime(deck.level, time);
+            param.linearRampToValueAtTime(level, time + fade);
+        }
+        deck.level = level;
+    }
+
+    _transition(time) {
+        const { track, section, crossfade, stinger, stingerBars } = this._pending;
+        const old  = this._deck;
+        const next = this._createDeck(track, time, section);
+        const fade = Math.max(0.01, crossfade);
+        old.endTime = time + crossfade;
+        this._fadeDeck(old, 0, time, fade);
+        next.level = 0;
+        this._fadeDeck(next, next.song.volume, time, fade);
+        this._deck    = next;
+        this._pending = null;
+        if (typeof stinger === 'function') stinger(time);
+        else if (stinger) this._createDeck(stinger, time).bars = stingerBars;
+    }
+
+    _releaseDecks() {
+        const now = this.ctx.currentTime;
+        this._decks = this._decks.filter(deck => {
+            if (deck === this._deck || now < deck.endTime + DECK_RELEASE) return true;
+            _disconnectDeck(deck);
+            return false;
+        });
+    }
+
+    _songBar(deck, bar) {
+        const sections = deck.sections;
+        const end = sections.length ? sections[sections.length - 1].end : Infinity;
+        if (bar < end) return bar;
+        const loop = sections.find(section => section.name === deck.song.loop) || sections[0];
+        return loop.start + (bar - end) % (end - loop.start);
+    }
+
+    _sectionAt(deck, bar) {
+        const songBar = this._songBar(deck, bar);
+        return deck.sections.find(section => songBar >= section.start && songBar < section.end) || null;
+    }
+
+    _atBoundary(deck, quantize) {
+        if (quantize === 'beat') return deck.tick % deck.stepsPerBeat === 0;
+        if (quantize === 'bar')  return deck.tick === 0;
+        if (quantize === 'section') {
+            if (deck.tick !== 0) return false;
+            const bar = this._songBar(deck, deck.measure);
+            return !deck.sections.length || deck.sections.some(section => section.start === bar);
+        }
+        return true;
+    }
+
+    _schedule(until = this.ctx.currentTime + 0.1) {
+        const now = this.ctx.currentTime, timeline = this._timeline;
+        if (!this.offline && this._deck.nextNoteTime < now - MAX_SCHEDULE_LAG) this._resync(now);
+        while (timeline.length > 1 && timeline[1].time <= now) timeline.shift();
+        this._releaseDecks();
+        for (let i = 0; i < this._decks.length; i++) this._scheduleDeck(this._decks[i], until);
+    }
+
+    // Shifts every deck (and the timeline) so the next step lands just after
+    // `now`, keeping the musical position instead of catching up.
+    _resync(now) {
+        const lag = now + 0.05 - this._deck.nextNoteTime;
+        if (lag <= 0) return;
+        for (const deck of this._decks) {
+            deck.nextNoteTime += lag;
+            deck.endTime      += lag;
+        }
+        for (const step of this._timeline) step.time += lag;
+    }
+
+    _scheduleDeck(deck, until) {
+        while (deck.nextNoteTime < until && deck.nextNoteTime < deck.endTime) {
+            if (deck === this._deck) {
+                const pending = this._pendingIntensity;
+                if (pending && this._atBoundary(deck, pending.quantize)) {
+                    this.intensity         = pending.intensity;
+                    this._pendingIntensity = null;
+                }
+                if (this._pending && this._atBoundary(deck, this._pending.quantize)) {
+                    this._transition(deck.nextNoteTime);
+                    continue;
+                }
+            }
+            this._syncTempo(deck);
+            if (deck === this._deck) this._markStep(deck);
+            const swing = deck.tick % 2 ? deck.swing * deck.noteLength / 3 : 0;
+            this._playStep(deck, deck.nextNoteTime + swing);
+            deck.nextNoteTime += deck.noteLength;
+            if (++deck.tick >= deck.stepsPerBar) {
+                deck.tick = 0;
+                if (deck.nextMeter) { Object.assign(deck, deck.nextMeter); deck.nextMeter = null; }
+                if (++deck.measure >= deck.bars) deck.endTime = deck.nextNoteTime;
+            }
+        }
+    }
+
+    _syncTempo(deck) {
+        let bpm = deck.song.bpm;
+        if (deck.song.tempos) {
+            const step = this._songBar(deck, deck.measure) * deck.stepsPerBar + deck.tick;
+            for (const [at, value] of deck.song.tempos) {
+                if (at > step) break;
+                bpm = value;
+            }
+        }
+        const ramp = deck.tempoRamp;
+        if (ramp) {
+            ramp.step++;
+            deck.tempoScale = ramp.from + (ramp.to - ramp.from) * Math.min(1, ramp.step / ramp.steps);
+            if (ramp.step >= ramp.steps) deck.tempoRamp = null;
+        }
+        deck.bpm        = bpm * deck.tempoScale;
+        deck.noteLength = 60 / deck.bpm / 4;
+    }
+
+    // onBeat fires when an event is scheduled, ahead of the audio;
+    // onAudibleBeat when it reaches the speakers.
+    _beat(time, type, info) {
+        this.onBeat(time, type, info);
+        if (!this.onAudibleBeat || this.offline) return;
+        const delay = (time + _outputLatency(this.ctx) - this.ctx.currentTime) * 1000;
+        _later(this._timers, () => this.onAudibleBeat(time, type, info), Math.max(0, delay));
+    }
+
+    // Records the step for getPosition() and fires the 'bar' and 'section'
+    // beat events on the downbeat.
+    _markStep(deck) {
+        const time = deck.nextNoteTime, bar = deck.measure;
+        const section = this._sectionAt(deck, bar), name = section ? section.name : null;
+        this._timeline.push({
+            time, bar, tick: deck.tick, track: deck.track, section: name, bpm: deck.bpm,
+            noteLength: deck.noteLength, stepsPerBar: deck.stepsPerBar, stepsPerBeat: deck.stepsPerBeat,
+        });
+        if (deck.tick !== 0) return;
+        const info = { bar, section: name, track: deck.track };
+        this._beat(time, 'bar', info);
+        if (section && this._songBar(deck, bar) === section.start) this._beat(time, 'section', info);
+    }
+
+    _playStep(deck, time) {
+        const { song, tick, measure: bar } = deck;
+        const section = this._sectionAt(deck, bar);
+        const chord   = song.progression ? song.progression[bar % song.progression.length] : 0;
+        for (const base of song.parts) {
+            const part = _resolvePart(base, section);
+            if (part.sections && !(section && part.sections.includes(section.name))) continue;
+            if (this.intensity < (part.minIntensity || 0)) continue;
+            if (part.maxIntensity != null && this.intensity > part.maxIntensity) continue;
+            if (part.every && bar % part.every !== 0) continue;
+            if (part.events) {
+                this._playEvents(deck, part, time, this._songBar(deck, bar) * deck.stepsPerBar + tick, base);
+                continue;
+            }
+            let degree = 0, accent = false;
+            if (part.pattern) {
+                const step = part.pattern[tick % part.pattern.length];
+                if (step !== 'x' && step !== 'o') continue;
+                accent = step === 'o';
+            }
+            if (part.notes) {
+                degree = part.notes[tick % part.notes.length];
+                if (degree == null) continue;
+            }
+            if (part.chance != null && this._random() <= 1 - part.chance) continue;
+            if (part.choose) degree = part.choose[Math.floor(this._random() * part.choose.length)];
+            let ratio = part.ratio == null ? 1 : part.ratio;
+            if (Array.isArray(ratio)) ratio = ratio[Math.floor(this._random() * ratio.length)];
+            const index = degree + (part.transpose || 0) + (part.chord === false ? 0 : chord);
+            const freq  = this.getFreq(song.scale, index) * ratio;
+            const dur   = part.duration != null ? part.duration : deck.noteLength * (part.length || 1);
+            const at    = part.humanize ? time + this._random() * part.humanize : time;
+            this._playInstrument(deck, part.instrument, freq, at, dur, accent, part.params || {}, 1, base);
+        }
+    }
+
+    _playEvents(deck, part, time, step, base = part) {
+        const events = part.events, params = part.params || {};
+        for (let i = _firstEventAt(events, step); i < events.length && events[i][0] < step + 1; i++) {
+            const [at, note, length = 1, velocity = 1] = events[i];
+            const start = time + (at - step) * deck.noteLength;
+            this._playInstrument(deck, part.instrument, _midiToFreq(note), start, length * deck.noteLength, !!part.accent, params, velocity, base);
+        }
+    }
+
+    // `part` keys the portamento glide from the part's previous note.
+    _playInstrument(deck, instrument, freq, time, dur, accent, params, velocity = 1, part = null) {
+        switch (instrument) {
+            case 'kick':  return this._playKick(time, deck);
+            case 'snare': return this._playSnare(time, deck);
+            case 'hihat': return this._playHihat(time, accent, deck);
+        }
+        const song = deck.song;
+        const def  = (song.instruments && song.instruments[instrument]) || this.instruments[instrument];
+        if (def) this._playVoice(deck, _instrumentWith(def, params), freq, time, dur, velocity, part);
+    }
+
+    _playKick(time, deck = this._deck) {
+        const osc = this.ctx.createOscillator(), gain = this.ctx.createGain();
+        osc.frequency.setValueAtTime(150, time);
+        osc.frequency.exponentialRampToValueAtTime(0.01, time + 0.5);
+        gain.gain.setValueAtTime(1.0, time);
+        gain.gain.exponentialRampToValueAtTime(0.01, time + 0.5);
+        osc.connect(gain); gain.connect(deck.gain);
+        osc.start(time); osc.stop(time + 0.5);
+        deck.side.gain.cancelScheduledValues(time);
+        deck.side.gain.setValueAtTime(0.3, time);
+        deck.side.gain.exponentialRampToValueAtTime(1.0, time + 0.15);
+        this._beat(time, 'kick');
+        this._own(osc, makeCleanup(osc, gain));
+    }
+
+    _playSnare(time, deck = this._deck) {
+        const src = this.ctx.createBufferSource(), filter = this.ctx.createBiquadFilter(), gain = this.ctx.createGain();
+        src.buffer = this._noiseBuffer; filter.type = 'bandpass'; filter.frequency.value = 1500;
+        src.connect(filter); filter.connect(gain); gain.connect(deck.side);
+        gain.gain.setValueAtTime(0.7, time);
+        gain.gain.exponentialRampToValueAtTime(0.01, time + 0.2);
+        src.start(time); src.stop(time + 0.2);
+        this._beat(time, 'snare');
+        this._own(src, makeCleanup(src, filter, gain));
+    }
+
+    _playHihat(time, open = false, deck = this._deck) {
+        const src = this.ctx.createBufferSource(), filter = this.ctx.createBiquadFilter(), gain = this.ctx.createGain();
+        src.buffer = this._noiseBuffer; filter.type = 'highpass'; filter.frequency.value = 8000;
+        const dur = open ? 0.3 : 0.05;
+        src.connect(filter); filter.connect(gain); gain.connect(deck.side);
         gain.gain.setValueAtTime(open ? 0.2 : 0.1, time);
         gain.gain.exponentialRampToValueAtTime(0.01, time + dur);
         src.start(time); src.stop(time + dur);
-        src.onended = makeCleanup(src, filter, gain);
-    }
-
-    _playSuperSawBass(freq, time, dur, cutoff = 300) {
-        const osc1 = this.ctx.createOscillator(), osc2 = this.ctx.createOscillator();
-        const filter = this.ctx.createBiquadFilter(), gain = this.ctx.createGain();
-        osc1.type = 'sawtooth'; osc2.type = 'sawtooth';
-        osc1.frequency.value = freq; osc2.frequency.value = freq * 1.01;
-        filter.type = 'lowpass'; filter.Q.value = 3;
-        filter.frequency.setValueAtTime(cutoff, time);
-        filter.frequency.exponentialRampToValueAtTime(100, time + 0.3);
-        gain.gain.setValueAtTime(0.3, time);
-        gain.gain.linearRampToValueAtTime(0.3, time + dur - 0.05);
-        gain.gain.linearRampToValueAtTime(0, time + dur);
-        osc1.connect(filter); osc2.connect(filter); filter.connect(gain); gain.connect(this._sidechainBus);
-        osc1.start(time); osc2.start(time);
-        osc1.stop(time + dur + 0.1); osc2.stop(time + dur + 0.1);
-        this.onBeat(time, 'bass');
-        const cleanup = makeCleanup(osc1, osc2, filter, gain);
-        osc1.onended = cleanup; osc2.onended = cleanup;
-    }
-
-    _playFMLead(freq, time, dur, vol = 0.15) {
-        const carrier = this.ctx.createOscillator(), modulator = this.ctx.createOscillator();
-        const modGain = this.ctx.createGain(), gain = this.ctx.createGain();
-        const delay = this.ctx.createDelay(), dGain = this.ctx.createGain();
-        carrier.frequency.value = freq; modulator.frequency.value = freq * 2;
-        modGain.gain.value = 500; delay.delayTime.value = 0.25; dGain.gain.value = 0.4;
-        modulator.connect(modGain); modGain.connect(carrier.frequency);
-        carrier.connect(gain);
-        gain.connect(this._sidechainBus);
-        gain.connect(delay); delay.connect(dGain); dGain.connect(this._sidechainBus);
-        gain.gain.setValueAtTime(0, time);
-        gain.gain.linearRampToValueAtTime(vol, time + 0.05);
-        gain.gain.setValueAtTime(vol, time + dur - 0.1);
-        gain.gain.linearRampToValueAtTime(0, time + dur);
-        carrier.start(time); modulator.start(time);
-        carrier.stop(time + dur + 0.5); modulator.stop(time + dur + 0.5);
-        this.onBeat(time, 'lead');
-        carrier.onended = makeCleanup(carrier, modulator, modGain, gain, delay, dGain);
-    }
-
-    _playSynth(freq, time, dur, type = 'triangle') {
-        const osc = this.ctx.createOscillator(), gain = this.ctx.createGain();
-        osc.type = type; osc.frequency.setValueAtTime(freq, time);
-        gain.gain.setValueAtTime(0, time);
-        gain.gain.linearRampToValueAtTime(0.1, time + 0.1);
-        gain.gain.linearRampToValueAtTime(0, time + dur);
-        osc.connect(gain); gain.connect(this._reverb);
-        osc.start(time); osc.stop(time + dur + 0.1);
-        osc.onended = makeCleanup(osc, gain);
+        this._own(src, makeCleanup(src, filter, gain));
+    }
+
+    // One note of an instrument definition: oscillators (with unison copies and
+    // FM modulators) → filter → amp envelope → tremolo → deck, plus LFOs and echo.
+    _playVoice(deck, inst, freq, time, dur, velocity = 1, part = null) {
+        const ctx  = this.ctx, off = time + dur, amp = inst.amp || {};
+        const echo = inst.echo, lfos = inst.lfos || [];
+        const stopAt = off + Math.max(amp.release || 0, 0.005) + (echo ? echo.time : 0) + 0.05;
+        const sensitivity = inst.velocity == null ? 1 : inst.velocity;
+        const peak = (inst.gain == null ? 0.2 : inst.gain) * (1 - sensitivity + sensitivity * velocity);
+        const from = inst.portamento && part ? deck.glide.get(part) : null;
+        if (part) deck.glide.set(part, freq);
+
+        const nodes = [], sources = [], pitched = [], detunes = [];
+        const gain = ctx.createGain();
+        _scheduleEnvelope(gain.gain, amp, 0, peak, time, off);
+        nodes.push(gain);
+
+        let input = gain, filter = null;
+        if (inst.filter) {
+            const { type = 'lowpass', frequency = 1000, Q = 1, envelope } = inst.filter;
+            filter = ctx.createBiquadFilter();
+            filter.type = type; filter.Q.value = Q;
+            if (envelope) _scheduleEnvelope(filter.frequency, envelope, frequency, envelope.peak == null ? frequency : envelope.peak, time, off, true);
+            else          filter.frequency.value = frequency;
+            filter.connect(gain); input = filter; nodes.push(filter);
+        }
+
+        for (const spec of inst.oscillators) {
+            const unison = spec.unison || 1, ratio = spec.ratio || 1;
+            const level  = (spec.gain == null ? 1 : spec.gain) / Math.sqrt(unison);
+            let mix = input;
+            if (level !== 1) {
+                mix = ctx.createGain();
+                mix.gain.value = level;
+                mix.connect(input); nodes.push(mix);
+            }
+            let fm = null;
+            if (spec.fm) {
+                const mod = ctx.createOscillator();
+                fm = ctx.createGain();
+                _setWave(ctx, mod, spec.fm.wave);
+                fm.gain.value = spec.fm.depth || 0;
+                mod.connect(fm);
+                pitched.push([mod.frequency, ratio * (spec.fm.ratio || 1)]); detunes.push(mod.detune);
+                sources.push(mod); nodes.push(mod, fm);
+            }
+            for (let i = 0; i < unison; i++) {
+                const osc = ctx.createOscillator();
+                _setWave(ctx, osc, spec.wave);
+                osc.detune.value = (spec.detune || 0) + (unison > 1 ? (spec.spread || 0) * (i / (unison - 1) - 0.5) : 0);
+                if (fm) fm.connect(osc.frequency);
+                osc.connect(mix);
+                pitched.push([osc.frequency, ratio]); detunes.push(osc.detune);
+                sources.push(osc); nodes.push(osc);
+            }
+        }
+        for (const [param, ratio] of pitched) {
+            param.setValueAtTime((from || freq) * ratio, time);
+            if (from) param.exponentialRampToValueAtTime(freq * ratio, time + inst.portamento);
+        }
+
+        let last = gain;
+        const targets = { pitch: detunes, filter: filter ? [filter.frequency] : [], amp: [] };
+        if (lfos.some(lfo => lfo.target === 'amp')) {
+            const tremolo = ctx.createGain();
+            gain.connect(tremolo); last = tremolo; targets.amp.push(tremolo.gain); nodes.push(tremolo);
+        }
+        for (const lfo of lfos) {
+            const [param, ...more] = targets[lfo.target] || [];
+            if (!param) continue;
+            const [osc, amount] = _createLfo(ctx, lfo, param, time, stopAt);
+            for (const other of more) amount.connect(other);
+            nodes.push(osc, amount);
+        }
+
+        const out = inst.output === 'wet' ? deck.wet : inst.output === 'dry' ? deck.gain : deck.side;
+        last.connect(out);
+        if (echo) {
+            const delay = ctx.createDelay(), level = ctx.createGain();
+            delay.delayTime.value = echo.time; level.gain.value = echo.level;
+            last.connect(delay); delay.connect(level); level.connect(out);
+            nodes.push(delay, level);
+        }
+        for (const src of sources) { src.start(time); src.stop(stopAt); }
+        if (inst.beat) this._beat(time, inst.beat);
+        const cleanup = makeCleanup(...nodes);
+        for (const src of sources) this._own(src, cleanup);
+    }
+
+    // Tracks a scheduled source until it ends, so destroy() can cut it short.
+    _own(src, cleanup) {
+        this._sources.add(src);
+        src.onended = () => { this._sources.delete(src); cleanup(); };
+    }
+}
+
+// ── SynthauraAnalyser ──────────────────────────────────────────────────────
+
+const ANALYSER_BANDS = { bass: [20, 250], mid: [250, 4000], high: [4000, 16000] };
+
+export class SynthauraAnalyser {
+    constructor(options = {}) {
+        this.ctx       = options.ctx || getSharedAudioContext();
+        this.fftSize   = options.fftSize || 2048;
+        this.smoothing = options.smoothing == null ? 0.8 : options.smoothing;
+        this.bands     = { ...ANALYSER_BANDS, ...options.bands };
+        this._taps     = {};
+        this._timers   = new Map();
+    }
+
+    // Listens to a source in parallel, without changing its output. source is
+    // a SynthauraBGM or SynthauraSFX (post-compressor; { pre: true } taps the
+    // BGM master before it), a SynthauraMixer with { bus }, or an AudioNode.
+    connect(name, source, options = {}) {
+        const node     = this._resolve(source, options);
+        const analyser = this.ctx.createAnalyser();
+        analyser.fftSize               = this.fftSize;
+        analyser.smoothingTimeConstant = this.smoothing;
+        this.disconnect(name);
+        node.connect(analyser);
+        this._taps[name] = {
+            node, analyser,
+            spectrum: new Uint8Array(analyser.frequencyBinCount),
+            waveform: new Float32Array(analyser.fftSize),
+        };
+        return analyser;
+    }
+
+    disconnect(name) {
+        const tap = this._taps[name];
+        if (!tap) return;
+        try { tap.node.disconnect(tap.analyser); } catch (_) {}
+        delete this._taps[name];
+    }
+
+    // Byte magnitudes (0..255) per frequency bin; the array is reused.
+    getSpectrum(name) {
+        const tap = this._tap(name);
+        tap.analyser.getByteFrequencyData(tap.spectrum);
+        return tap.spectrum;
+    }
+
+    // Samples (-1..1) of the latest block; the array is reused.
+    getWaveform(name) {
+        const tap = this._tap(name);
+        tap.analyser.getFloatTimeDomainData(tap.waveform);
+        return tap.waveform;
+    }
+
+    getRMS(name) {
+        const waveform = this.getWaveform(name);
+        let sum = 0;
+        for (let i = 0; i < waveform.length; i++) sum += waveform[i] * waveform[i];
+        return Math.sqrt(sum / waveform.length);
+    }
+
+    // Average energy (0..1) per band, e.g. { bass, mid, high }.
+    getBands(name) {
+        const spectrum = this.getSpectrum(name);
+        const binWidth = this.ctx.sampleRate / 2 / spectrum.length;
+        const energies = {};
+        for (const [band, [low, high]] of Object.entries(this.bands)) {
+            const from = Math.max(0, Math.floor(low / binWidth));
+            const to   = Math.min(spectrum.length, Math.max(from + 1, Math.ceil(high / binWidth)));
+            let sum = 0;
+            for (let i = from; i < to; i++) sum += spectrum[i];
+            energies[band] = to > from ? sum / ((to - from) * 255) : 0;  // band above Nyquist
+        }
+        return energies;
+    }
+
+    // Context time at which audio scheduled for `time` is heard.
+    audibleTime(time) { return time + _outputLatency(this.ctx); }
+
+    // Calls back when audio scheduled for context `time` (e.g. voice.startTime
+    // or an onBeat time) reaches the speakers.
+    at(time, callback) {
+        const delay = (this.audibleTime(time) - this.ctx.currentTime) * 1000;
+        return _later(this._timers, () => callback(time), Math.max(0, delay));
+    }
+
+    destroy() {
+        _clearTimers(this._timers);
+        for (const name of Object.keys(this._taps)) this.disconnect(name);
+    }
+
+    _tap(name) {
+        const tap = this._taps[name];
+        if (!tap) throw new Error(`Synthaura: analyser has no source "${name}"`);
+        return tap;
+    }
+
+    _resolve(source, options) {
+        if (source instanceof SynthauraBGM)   return options.pre ? source._master : source._compressor;
+        if (source instanceof SynthauraSFX)   return source._compressor;
+        if (source instanceof SynthauraMixer) return source._bus(options.bus || 'master').output;
+        if (source && typeof source.connect === 'function') return source;
+        throw new Error('Synthaura: analyser source must be a SynthauraBGM, SynthauraSFX, SynthauraMixer or AudioNode');
+    }
+}
+
+// ── SynthauraLifecycle ─────────────────────────────────────────────────────
+
+// Events that count as a user gesture for unlocking audio.
+const UNLOCK_EVENTS = ['pointerdown', 'touchend', 'keydown', 'click'];
+
+// Keeps a context usable across autoplay locks, hidden tabs and mobile
+// interruptions. States: 'locked' (waiting for a gesture), 'running',
+// 'hidden', 'interrupted' and 'closed'.
+export class SynthauraLifecycle {
+    constructor(options = {}) {
+        this.ctx             = options.ctx || getSharedAudioContext();
+        this.document        = options.document || globalThis.document || null;
+        this.whileLocked     = options.whileLocked || 'queue';   // or 'drop'
+        this.maxQueue        = options.maxQueue == null ? 8 : options.maxQueue;
+        this.queueWindow     = options.queueWindow == null ? 1 : options.queueWindow;   // seconds a queued SFX stays worth playing
+        this.pauseWhenHidden = options.pauseWhenHidden !== false;
+        this.onStateChange   = options.onStateChange || (() => {});
+        this.state           = null;
+
+        this._bgm       = [];
+        this._sfx       = [];
+        this._paused    = new Set();   // BGM paused by us, to resume later
+        this._queue     = [];
+        this._suspended = false;       // whether we suspended the context
+        this._armed     = false;
+
+        this._onGesture    = () => this.unlock();
+        this._onVisibility = () => this._visibilityChanged();
+        this._onState      = () => this._update();
+        if (this.document) this.document.addEventListener('visibilitychange', this._onVisibility);
+        if (this.ctx.addEventListener) this.ctx.addEventListener('statechange', this._onState);
+        for (const instance of options.attach || []) this.attach(instance);
+        this._update();
+    }
+
+    get hidden() { return !!(this.document && this.document.hidden); }
+
+    // SynthauraBGM instances are paused and resumed with the context;
+    // SynthauraSFX.play() queues or drops sounds while locked.
+    attach(instance) {
+        const list = instance instanceof SynthauraBGM ? this._bgm : instance instanceof SynthauraSFX ? this._sfx : null;
+        if (!list) throw new Error('Synthaura: lifecycle can only attach SynthauraBGM or SynthauraSFX');
+        if (!list.includes(instance)) list.push(instance);
+        instance._lifecycle = this;
+        return instance;
+    }
+
+    detach(instance) {
+        this._bgm = this._bgm.filter(bgm => bgm !== instance);
+        this._sfx = this._sfx.filter(sfx => sfx !== instance);
+        this._paused.delete(instance);
+        this._queue = this._queue.filter(entry => entry.sfx !== instance);
+        if (instance._lifecycle === this) instance._lifecycle = null;
+    }
+
+    // Resumes the context; call from a user gesture handler (done for you by
+    // the listeners installed while locked).
+    unlock() {
+        if (this.ctx.state === 'closed' || (this.hidden && this.pauseWhenHidden)) return Promise.resolve(false);
+        // Older iOS only unlocks once a buffer has played inside the gesture.
+        const source = this.ctx.createBufferSource();
+        source.buffer = this.ctx.createBuffer(1, 1, this.ctx.sampleRate);
+        source.connect(this.ctx.destination);
+        source.start(0);
+        this._suspended = false;
+        return Promise.resolve(this.ctx.resume()).then(() => { this._update(); return this.ctx.state === 'running'; }, () => false);
+    }
+
+    destroy() {
+        this._arm(false);
+        if (this.document) this.document.removeEventListener('visibilitychange', this._onVisibility);
+        if (this.ctx.removeEventListener) this.ctx.removeEventListener('statechange', this._onState);
+        for (const instance of [...this._bgm, ...this._sfx]) this.detach(instance);
+    }
+
+    // Called by SynthauraSFX.play(); true when the sound must not play now.
+    _hold(sfx, presetOrName, overrides) {
+        if (this.ctx.state === 'running' && !this._suspended) return false;
+        if (this.whileLocked === 'queue' && this.maxQueue > 0) {
+            this._queue.push({ sfx, presetOrName, overrides, at: Date.now() });
+            if (this._queue.length > this.maxQueue) this._queue.shift();
+        }
+        return true;
+    }
+
+    _visibilityChanged() {
+        if (!this.pauseWhenHidden) return;
+        if (this.hidden && this.ctx.state === 'running') {
+            this._suspended = true;
+            this._update();
+            this.ctx.suspend();
+        } else if (!this.hidden && this._suspended) {
+            // A context that was running may resume without a new gesture;
+            // if the browser refuses, we fall back to 'locked'.
+            this._suspended = false;
+            Promise.resolve(this.ctx.resume()).then(() => this._update(), () => this._update());
+        }
+    }
+
+    _update() {
+        const state    = this._state();
+        const previous = this.state;
+        // Interruptions and autoplay locks both need a gesture to recover.
+        this._arm(state === 'locked' || state === 'interrupted');
+        if (state === previous) return;
+        this.state = state;
+        if (state === 'running') {
+            this._resumeMusic();
+            this._flush();
+        } else {
+            this._pauseMusic();
+        }
+        this.onStateChange(state, previous);
+    }
+
+    _state() {
+        const state = this.ctx.state;
+        if (state === 'closed')                    return 'closed';
+        if (this._suspended)                       return 'hidden';
+        if (state === 'interrupted')               return 'interrupted';
+        return state === 'running' ? 'running' : 'locked';
+    }
+
+    _arm(on) {
+        if (!this.document || on === this._armed) return;
+        this._armed = on;
+        for (const type of UNLOCK_EVENTS) {
+            if (on) this.document.addEventListener(type, this._onGesture, { capture: true, passive: true });
+            else    this.document.removeEventListener(type, this._onGesture, { capture: true });
+        }
+    }
+
+    _pauseMusic() {
+        for (const bgm of this._bgm) {
+            if (!bgm.isPlaying || bgm.paused) continue;
+            bgm.pause();
+            this._paused.add(bgm);
+        }
+    }
+
+    _resumeMusic() {
+        for (const bgm of this._paused) bgm.resume();
+        this._paused.clear();
+    }
+
+    // Plays what was queued while locked, skipping anything too old to fit.
+    _flush() {
+        const queue = this._queue, cutoff = Date.now() - this.queueWindow * 1000;
+        this._queue = [];
+        for (const entry of queue) {
+            if (entry.at >= cutoff) entry.sfx.play(entry.presetOrName, entry.overrides);
+        }
     }
 }
@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { configure, SynthauraSFX, SynthauraBGM } from '../synthaura.js';
+import { MockAudioContext, mockEnvironment } from '../synthaura-mock.js';
+
+// An explosion and 4 s of music on a fresh recording context.
+function record(seed) {
+    const ctx = new MockAudioContext();
+    configure(mockEnvironment(ctx));              // shared context, offline renders and timers all run on ctx
+
+    const sfx = new SynthauraSFX({ seed });
+    sfx.playExplosion();
+    const bgm = new SynthauraBGM({ seed, track: 'mainTheme' });
+    bgm.start();
+    ctx.advance(4);                               // runs the scheduler for 4 s of virtual time
+    bgm.destroy();
+    return ctx.snapshot();                        // { currentTime, listener, nodes: [{ id, connections, params, start, stop }, ...] }
+}
+
+test('a seeded run records the same graph every time', () => {
+    const snapshot = record(1);
+    assert.ok(snapshot.nodes.some(node => node.start != null && node.stop > node.start));
+    assert.deepEqual(record(1), snapshot);
+});
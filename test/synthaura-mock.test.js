@@ -0,0 +1,119 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { MockAudioContext, MockOfflineAudioContext, mockEnvironment } from '../synthaura-mock.js';
+
+const ms = seconds => Math.round(seconds * 1000);
+
+test('snapshot() records nodes, connections, automation and start/stop', () => {
+    const ctx  = new MockAudioContext();
+    const osc  = ctx.createOscillator();
+    const gain = ctx.createGain();
+    osc.type = 'square';
+    osc.connect(gain);
+    osc.connect(gain.gain);
+    gain.connect(ctx.destination);
+    osc.frequency.setValueAtTime(220, 0);
+    osc.frequency.exponentialRampToValueAtTime(440, 1);
+    osc.start(0.5);
+    osc.stop(2);
+
+    const snapshot = ctx.snapshot();
+    assert.deepEqual(snapshot, JSON.parse(JSON.stringify(snapshot)));
+    assert.equal(snapshot.currentTime, 0);
+    assert.deepEqual(snapshot.nodes.map(node => node.id), ['destination#0', 'oscillator#1', 'gain#2']);
+    const [, oscillator, amp] = snapshot.nodes;
+    assert.deepEqual(oscillator.connections, ['gain#2', 'gain#2.gain']);
+    assert.equal(oscillator.settings.type, 'square');
+    assert.deepEqual(oscillator.params.frequency, {
+        value: 440,
+        events: [['setValueAtTime', 220, 0], ['exponentialRampToValueAtTime', 440, 1]],
+    });
+    assert.equal(oscillator.start, 0.5);
+    assert.equal(oscillator.stop, 2);
+    assert.deepEqual(amp.params.gain.inputs, ['oscillator#1']);
+    assert.equal('start' in amp, false);
+
+    osc.disconnect(gain.gain);
+    assert.deepEqual(ctx.snapshot().nodes[1].connections, ['gain#2']);
+    assert.deepEqual(ctx.snapshot().nodes[2].params, undefined);
+});
+
+test('params and sources reject what the Web Audio API rejects', () => {
+    const ctx = new MockAudioContext();
+    const osc = ctx.createOscillator();
+    assert.throws(() => osc.frequency.setValueAtTime(NaN, 0), TypeError);
+    assert.throws(() => osc.frequency.linearRampToValueAtTime(440, Infinity), TypeError);
+    assert.throws(() => osc.frequency.exponentialRampToValueAtTime(0, 1), RangeError);
+    assert.throws(() => osc.stop(1), /before start/);
+    osc.start();
+    assert.throws(() => osc.start(), /more than once/);
+    assert.throws(() => osc.disconnect(ctx.destination), /not connected/);
+});
+
+test('advance() moves the clock and fires timers and onended in time order', () => {
+    const ctx = new MockAudioContext();
+    const env = mockEnvironment(ctx);
+    const log = [];
+    const osc = ctx.createOscillator();
+    osc.onended = () => log.push(['ended', ms(ctx.currentTime)]);
+    osc.start(0);
+    osc.stop(0.25);
+    env.setTimeout(() => log.push(['timeout', ms(ctx.currentTime)]), 100);
+    const cancelled = env.setTimeout(() => log.push(['cancelled']), 200);
+    env.clearTimeout(cancelled);
+    const interval = env.setInterval(() => log.push(['interval', ms(ctx.currentTime)]), 150);
+
+    // onended fires the next time the clock moves past the stop time.
+    ctx.advance(0.4);
+    assert.equal(ctx.currentTime, 0.4);
+    assert.deepEqual(log, [['timeout', 100], ['interval', 150], ['ended', 300], ['interval', 300]]);
+
+    env.clearInterval(interval);
+    ctx.advance(1);
+    assert.equal(log.length, 4);
+    assert.equal(ctx.currentTime, 1.4);
+});
+
+test('a buffer source ends when its buffer runs out', () => {
+    const ctx = new MockAudioContext();
+    const src = ctx.createBufferSource();
+    let ended = null;
+    src.buffer  = ctx.createBuffer(1, 22050, 44100);
+    src.onended = () => { ended = ms(ctx.currentTime); };
+    src.start(1);
+    ctx.advance(1.4);
+    assert.equal(ended, null);
+    ctx.advance(0.2);
+    assert.equal(ended, 1600);
+});
+
+test('MockOfflineAudioContext runs its whole timeline when rendering', async () => {
+    const ctx = new MockOfflineAudioContext(2, 44100, 44100);
+    const osc = ctx.createOscillator();
+    let ended = false, completed = null;
+    osc.onended    = () => { ended = true; };
+    ctx.oncomplete = event => { completed = event.renderedBuffer; };
+    osc.start(0);
+    osc.stop(0.5);
+    const buffer = await ctx.startRendering();
+    assert.ok(ended);
+    assert.equal(completed, buffer);
+    assert.equal(buffer.numberOfChannels, 2);
+    assert.equal(buffer.duration, 1);
+    assert.equal(ctx.state, 'closed');
+});
+
+test('mockEnvironment() makes the shared context and timers run on ctx', () => {
+    const ctx = new MockAudioContext();
+    const env = mockEnvironment(ctx);
+    assert.equal(new env.AudioContext(), ctx);
+    assert.equal(env.OfflineAudioContext, MockOfflineAudioContext);
+    assert.equal(env.timer, 'interval');
+});
+
+test('the README example is test/readme.test.js', () => {
+    const readme  = readFileSync(new URL('../README.md', import.meta.url), 'utf8');
+    const example = readFileSync(new URL('./readme.test.js', import.meta.url), 'utf8');
+    assert.ok(readme.includes('```javascript\n' + example + '```'), 'README.md and test/readme.test.js differ');
+});
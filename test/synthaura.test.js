@@ -0,0 +1,190 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { configure, SFX_PRESETS, SynthauraSFX, SynthauraBGM, SynthauraMixer, sfxr } from '../synthaura.js';
+import { MockAudioContext, mockEnvironment } from '../synthaura-mock.js';
+
+// A fresh recording context that the shared context, offline renders and
+// timers all run on.
+function setup() {
+    const ctx = new MockAudioContext();
+    configure(mockEnvironment(ctx));
+    return ctx;
+}
+
+// Snapshot entries of the nodes created while `play` runs.
+function record(play) {
+    const ctx = setup();
+    const sfx = new SynthauraSFX({ seed: 1 });
+    const from = ctx.nodes.length;
+    play(sfx);
+    return ctx.snapshot().nodes.slice(from);
+}
+
+function assertSound(nodes) {
+    const sources = nodes.filter(node => 'start' in node);
+    assert.ok(sources.length, 'no sources were started');
+    for (const source of sources) {
+        assert.ok(source.start >= 0, `${source.id} never started`);
+        assert.ok(source.stop >= source.start, `${source.id} never stops`);
+    }
+    assert.ok(nodes.some(node => node.connections.length), 'nothing is connected');
+}
+
+test('every SFX preset builds a graph that starts and stops', () => {
+    for (const name of Object.keys(SFX_PRESETS)) {
+        assertSound(record(sfx => sfx.play(name)));
+    }
+});
+
+test('SFX presets are deterministic with a seed', () => {
+    for (const name of Object.keys(SFX_PRESETS)) {
+        assert.deepEqual(record(sfx => sfx.play(name)), record(sfx => sfx.play(name)), name);
+    }
+});
+
+test('play* wrappers play their preset', () => {
+    const methods = Object.getOwnPropertyNames(SynthauraSFX.prototype)
+        .filter(method => /^play[A-Z]/.test(method) && !['playFootstep', 'playParams', 'playFireBurn'].includes(method));
+    assert.ok(methods.length);
+    for (const method of methods) {
+        const name = Object.keys(SFX_PRESETS).find(key => key.toLowerCase() === method.slice(4).toLowerCase());
+        assert.ok(name, `${method} has no preset`);
+        assert.deepEqual(record(sfx => sfx[method]()), record(sfx => sfx.play(name)), method);
+    }
+    for (const surface of ['grass', 'stone', 'wood', 'gravel', 'metal']) {
+        assertSound(record(sfx => sfx.playFootstep(surface)));
+    }
+    assert.throws(() => record(sfx => sfx.playFootstep('lava')), /unknown footstep surface "lava"/);
+    assertSound(record(sfx => sfx.playParams(sfxr.randomPickup(1))));
+});
+
+test('playFireBurn() crackles until it is stopped', () => {
+    const ctx  = setup();
+    const sfx  = new SynthauraSFX({ seed: 1 });
+    const from = ctx.nodes.length;
+    const burn = sfx.playFireBurn({ params: { intensity: 1 } });
+    ctx.advance(3);
+    const crackles = ctx.nodes.slice(from).filter(node => node.kind === 'bufferSource' && node.startTime > 2);
+    assert.ok(crackles.length > 5, 'no crackles after 2 s');
+    burn.stop();
+    assert.equal(burn.playing, false);
+    ctx.advance(2);
+    const count = ctx.nodes.length;
+    ctx.advance(2);
+    assert.equal(ctx.nodes.length, count, 'crackles kept coming after stop()');
+    for (const node of ctx.snapshot().nodes.slice(from)) assert.deepEqual(node.connections, [], `${node.id} is still connected`);
+});
+
+test('sounds end and free their nodes', () => {
+    const ctx = setup();
+    const sfx = new SynthauraSFX({ seed: 1 });
+    const from = ctx.nodes.length;
+    sfx.playExplosion();
+    ctx.advance(10);
+    for (const node of ctx.snapshot().nodes.slice(from)) assert.deepEqual(node.connections, [], `${node.id} is still connected`);
+});
+
+test('a voice is spatialized once, whatever its layer count', () => {
+    const ctx   = setup();
+    const sfx   = new SynthauraSFX({ seed: 1 });
+    const from  = ctx.nodes.length;
+    const voice = sfx.play('lightningChain', { position: { x: 3, y: 0, z: 0 } });
+    const panners = ctx.nodes.slice(from).filter(node => node.kind === 'panner');
+    assert.equal(panners.length, 1);
+    voice.setParam('position', { x: -3, y: 0, z: 0 });
+    assert.deepEqual(panners[0].positionX.events.at(-1), ['linearRampToValueAtTime', -3, 0.05]);
+});
+
+test('mixer effects crossfade and keep the old tail ringing', () => {
+    const ctx   = setup();
+    const mixer = new SynthauraMixer();
+    const bus   = mixer.buses.music;
+    const echo  = mixer.setEffects('music', [{ type: 'delay', time: 0.5, feedback: 0.5 }]);
+    ctx.advance(1);
+    assert.equal(mixer.setEffects('music', []), null);
+    const input = ctx.snapshot().nodes.find(node => node.id === echo.input.id);
+    assert.deepEqual(input.params.gain.events.at(-1), ['linearRampToValueAtTime', 0, 1.1]);
+    assert.ok(bus.input.connections.includes(echo.input), 'the old chain was cut off');
+    ctx.advance(4);
+    assert.ok(bus.input.connections.includes(echo.input), 'the delay tail was cut off');
+    ctx.advance(2);
+    assert.ok(!bus.input.connections.includes(echo.input));
+    assert.deepEqual(echo.output.connections, []);
+    mixer.destroy();
+});
+
+// Notes the BGM scheduled in the first `seconds`, as [start, frequency].
+function bgmNotes(options, seconds) {
+    const ctx = setup();
+    const bgm = new SynthauraBGM({ seed: 1, ...options });
+    bgm.start();
+    ctx.advance(seconds);
+    const notes = ctx.snapshot().nodes
+        .filter(node => node.id.startsWith('oscillator#') && node.start != null)
+        .map(node => [node.start, node.params && node.params.frequency ? node.params.frequency.events[0][1] : 440]);
+    bgm.destroy();
+    ctx.advance(10);
+    return notes;
+}
+
+test('BGM schedules a few bars of notes ahead of the clock', () => {
+    const notes = bgmNotes({ track: 'mainTheme' }, 4);
+    assert.ok(notes.length > 8);
+    for (const [start] of notes) assert.ok(start <= 4 + 0.2, `note at ${start} scheduled too far ahead`);
+    assert.ok(notes.some(([start]) => start > 3), 'the scheduler stopped');
+});
+
+test('BGM is deterministic with a seed', () => {
+    assert.deepEqual(bgmNotes({ track: 'mainTheme' }, 4), bgmNotes({ track: 'mainTheme' }, 4));
+});
+
+test("timer: 'interval' schedules without a Worker", t => {
+    const Worker = globalThis.Worker;
+    globalThis.Worker = class { constructor() { throw new Error('Worker used'); } };
+    t.after(() => { globalThis.Worker = Worker; });
+    const ctx = setup();
+    const bgm = new SynthauraBGM({ seed: 1, track: 'ambient', timer: 'interval' });
+    bgm.start();
+    ctx.advance(4);
+    assert.ok(ctx.nodes.some(node => node.startTime > 3));
+    bgm.stop();
+    const count = ctx.nodes.length;
+    ctx.advance(4);
+    assert.equal(ctx.nodes.length, count, 'the scheduler kept running after stop()');
+    bgm.destroy();
+    ctx.advance(10);
+});
+
+test('BGM renders bars offline from a section', async () => {
+    setup();
+    const bgm = new SynthauraBGM({ seed: 1 });
+    const whole  = await bgm.renderToBuffer({ track: 'mainTheme', bars: 2, tail: 0 });
+    const chorus = await bgm.renderToBuffer({ track: 'mainTheme', section: 'CHORUS', bars: 2, tail: 0 });
+    assert.ok(whole.duration > 3.5 && whole.duration < 3.7);
+    assert.equal(chorus.length, whole.length);
+    await assert.rejects(bgm.renderToBuffer({ track: 'mainTheme', section: 'CODA' }), /has no section "CODA"/);
+});
+
+test('calls after destroy() do nothing', () => {
+    const ctx = setup();
+    const sfx = new SynthauraSFX({ seed: 1 });
+    const bgm = new SynthauraBGM({ seed: 1, track: 'mainTheme' });
+    sfx.destroy();
+    bgm.destroy();
+    ctx.advance(1);
+    const before = JSON.stringify(ctx.snapshot());
+    const deck   = { ...bgm._deck }, intensity = bgm.intensity;
+    sfx.setListener({ x: 1, y: 2, z: 3 }, { forward: { x: 1, y: 0, z: 0 } });
+    sfx.setSpatial({ maxDistance: 5 });
+    sfx.stopAll();
+    bgm.setTempo(90);
+    bgm.setIntensity(intensity / 2);
+    bgm.setSwing(0.5);
+    bgm.setTimeSignature(3, 4);
+    bgm.registerTrack('late', { bpm: 100, parts: [] });
+    assert.equal(JSON.stringify(ctx.snapshot()), before);
+    assert.deepEqual({ ...bgm._deck }, deck);
+    assert.equal(bgm.intensity, intensity);
+    assert.equal(bgm.tracks.late, undefined);
+    assert.notEqual(sfx.spatial.maxDistance, 5);
+});